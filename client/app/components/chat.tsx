@@ -3,30 +3,77 @@
 import { Button } from "src/components/ui/button";
 import * as React from "react";
 import { Input } from "src/components/ui/input";
-import { Send, FileText, Bot, User, Loader2 } from "lucide-react";
+import {
+  Send,
+  FileText,
+  Bot,
+  User,
+  Loader2,
+  Square,
+  X,
+  History,
+  Plus,
+} from "lucide-react";
+import { useApiFetch } from "src/lib/api";
+import { readEventStream } from "src/lib/sse";
+import { useDocumentSelection } from "./document-context";
+import SourcedAnswer, { type Source } from "./citations";
 
-interface Doc {
-  pageContent?: string;
-  metadata?: {
-    loc?: {
-      pageNumber?: number;
-    };
-    source?: string;
-  };
+interface IUsage {
+  input_tokens?: number;
+  output_tokens?: number;
+  total_tokens?: number;
 }
 
 interface IMessage {
   role: "assistant" | "user";
   content?: string;
-  documents?: Doc[];
+  sources?: Source[];
   timestamp?: Date;
+  model?: string;
+  usage?: IUsage | null;
+  cancelled?: boolean;
+  // Reused from the server's answer cache rather than generated
+  cached?: boolean;
+}
+
+// Shape of a message stored by the server (GET /conversations/:id)
+interface IStoredMessage {
+  role: "assistant" | "user";
+  content: string;
+  timestamp: string;
+  model?: string;
+  sources?: Source[];
+  cached?: boolean;
+}
+
+interface IConversation {
+  id: string;
+  title: string;
+  updatedAt: string;
 }
 
+// Remembers the open conversation across page reloads
+const CONVERSATION_STORAGE_KEY = "pdf-chat:conversationId";
+
 const ChatComponent: React.FC = () => {
   const [message, setMessage] = React.useState<string>("");
   const [messages, setMessages] = React.useState<IMessage[]>([]);
   const [isLoading, setIsLoading] = React.useState<boolean>(false);
+  const [isStreaming, setIsStreaming] = React.useState<boolean>(false);
+  const abortControllerRef = React.useRef<AbortController | null>(null);
+  const [conversationId, setConversationId] = React.useState<string | null>(
+    null
+  );
+  const [conversations, setConversations] = React.useState<IConversation[]>([]);
+  const [showHistory, setShowHistory] = React.useState<boolean>(false);
   const messagesEndRef = React.useRef<HTMLDivElement>(null);
+  const { documents: uploadedDocuments, selectedIds, toggleDocument } =
+    useDocumentSelection();
+  const apiFetch = useApiFetch();
+  const selectedDocuments = uploadedDocuments.filter((doc) =>
+    selectedIds.includes(doc.id)
+  );
 
   // Auto scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -37,6 +84,73 @@ const ChatComponent: React.FC = () => {
     scrollToBottom();
   }, [messages]);
 
+  const selectConversation = (id: string | null) => {
+    setConversationId(id);
+    if (id) localStorage.setItem(CONVERSATION_STORAGE_KEY, id);
+    else localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+  };
+
+  const loadConversation = React.useCallback(async (id: string) => {
+    try {
+      const res = await apiFetch(`/conversations/${id}`);
+      if (!res.ok) throw new Error("Conversation not found");
+      const data = await res.json();
+
+      setMessages(
+        (data.messages as IStoredMessage[]).map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+          sources: msg.sources,
+          model: msg.model,
+          cached: msg.cached,
+          timestamp: new Date(msg.timestamp),
+        }))
+      );
+      setConversationId(id);
+      localStorage.setItem(CONVERSATION_STORAGE_KEY, id);
+    } catch (error) {
+      console.error("Error loading conversation:", error);
+      localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+    }
+  }, [apiFetch]);
+
+  // Reopen the last conversation after a reload
+  React.useEffect(() => {
+    const storedId = localStorage.getItem(CONVERSATION_STORAGE_KEY);
+    if (storedId) loadConversation(storedId);
+  }, [loadConversation]);
+
+  const toggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+    setShowHistory(true);
+    try {
+      const res = await apiFetch("/conversations");
+      const data = await res.json();
+      setConversations(data.conversations ?? []);
+    } catch (error) {
+      console.error("Error loading conversations:", error);
+    }
+  };
+
+  const handleNewConversation = () => {
+    abortControllerRef.current?.abort();
+    selectConversation(null);
+    setMessages([]);
+    setShowHistory(false);
+  };
+
+  // Patch the assistant message that is currently being streamed
+  const updateLastMessage = (patch: (msg: IMessage) => IMessage) => {
+    setMessages((prev) =>
+      prev.length === 0
+        ? prev
+        : [...prev.slice(0, -1), patch(prev[prev.length - 1])]
+    );
+  };
+
   const handleSendChatMessage = async () => {
     if (!message.trim()) return;
 
@@ -49,22 +163,76 @@ const ChatComponent: React.FC = () => {
     setMessages((prev) => [...prev, userMessage]);
     setMessage("");
     setIsLoading(true);
+    setIsStreaming(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    let sources: Source[] = [];
+    let started = false;
+
+    // The answer bubble appears with the first token
+    const startAnswer = (content: string) => {
+      started = true;
+      setIsLoading(false);
+      setMessages((prev) => [
+        ...prev,
+        { role: "assistant", content, sources, timestamp: new Date() },
+      ]);
+    };
 
     try {
-      const res = await fetch(
-        `http://localhost:8000/chat?message=${encodeURIComponent(message)}`
-      );
-      const data = await res.json();
+      const params = new URLSearchParams({ message });
+      if (selectedIds.length > 0) {
+        params.set("documentIds", selectedIds.join(","));
+      }
+      if (conversationId) {
+        params.set("conversationId", conversationId);
+      }
 
-      const assistantMessage: IMessage = {
-        role: "assistant",
-        content: data?.message,
-        documents: data?.docs,
-        timestamp: new Date(),
-      };
+      const res = await apiFetch(`/chat/stream?${params}`, {
+        signal: controller.signal,
+      });
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error(data?.error ?? "Chat request failed");
+      }
 
-      setMessages((prev) => [...prev, assistantMessage]);
+      await readEventStream(res, ({ event, data }) => {
+        const payload = data as Record<string, unknown>;
+
+        if (event === "sources") {
+          // Known before the answer, so a cancelled answer keeps it too
+          selectConversation(payload.conversationId as string);
+          sources = (payload.sources as Source[]) ?? [];
+        } else if (event === "token") {
+          const text = payload.text as string;
+          if (!started) startAnswer(text);
+          else
+            updateLastMessage((msg) => ({
+              ...msg,
+              content: (msg.content ?? "") + text,
+            }));
+        } else if (event === "done") {
+          if (!started) startAnswer("");
+          selectConversation(payload.conversationId as string);
+          updateLastMessage((msg) => ({
+            ...msg,
+            model: payload.model as string,
+            usage: payload.usage as IUsage | null,
+            cached: payload.cached as boolean,
+          }));
+        } else if (event === "error") {
+          throw new Error(payload.error as string);
+        }
+      });
     } catch (error) {
+      if (controller.signal.aborted) {
+        if (started) updateLastMessage((msg) => ({ ...msg, cancelled: true }));
+        return;
+      }
+
       console.error("Error sending message:", error);
       const errorMessage: IMessage = {
         role: "assistant",
@@ -73,10 +241,16 @@ const ChatComponent: React.FC = () => {
       };
       setMessages((prev) => [...prev, errorMessage]);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
+  const handleStopStreaming = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -90,6 +264,50 @@ const ChatComponent: React.FC = () => {
 
   return (
     <div className="flex flex-col h-full bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
+      {/* Conversation Toolbar */}
+      <div className="relative flex items-center justify-end gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+        <Button variant="ghost" size="sm" onClick={handleNewConversation}>
+          <Plus className="w-4 h-4" />
+          New chat
+        </Button>
+        <Button variant="ghost" size="sm" onClick={toggleHistory}>
+          <History className="w-4 h-4" />
+          History
+        </Button>
+
+        {showHistory && (
+          <div className="absolute right-4 top-full z-20 mt-1 w-80 max-h-96 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg">
+            {conversations.length === 0 ? (
+              <p className="p-3 text-xs text-gray-500 dark:text-gray-400">
+                No past conversations yet.
+              </p>
+            ) : (
+              conversations.map((conversation) => (
+                <button
+                  key={conversation.id}
+                  onClick={() => {
+                    loadConversation(conversation.id);
+                    setShowHistory(false);
+                  }}
+                  className={`block w-full text-left px-3 py-2 text-sm hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                    conversation.id === conversationId
+                      ? "bg-blue-50 dark:bg-blue-900"
+                      : ""
+                  }`}
+                >
+                  <div className="truncate text-gray-900 dark:text-gray-100">
+                    {conversation.title}
+                  </div>
+                  <div className="text-xs text-gray-400 dark:text-gray-500">
+                    {new Date(conversation.updatedAt).toLocaleString()}
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Messages Container */}
       <div className="flex-1 overflow-y-auto px-4 py-6 space-y-6">
         {messages.length === 0 ? (
@@ -101,7 +319,7 @@ const ChatComponent: React.FC = () => {
               Start a conversation
             </h3>
             <p className="text-gray-500 dark:text-gray-400 max-w-md">
-              Upload a PDF document and start asking questions about its content.
+              Upload a document and start asking questions about its content.
               I&apos;ll help you find the information you need!
             </p>
           </div>
@@ -128,34 +346,18 @@ const ChatComponent: React.FC = () => {
                     : "bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 border border-gray-200 dark:border-gray-700"
                 }`}
               >
-                <div className="whitespace-pre-wrap text-sm leading-relaxed">
-                  {msg.content}
-                </div>
-                
-                {msg.documents && msg.documents.length > 0 && (
-                  <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
-                    <div className="text-xs text-gray-500 dark:text-gray-400 mb-2 flex items-center gap-1">
-                      <FileText className="w-3 h-3" />
-                      Sources ({msg.documents.length})
-                    </div>
-                    <div className="space-y-2">
-                      {msg.documents.slice(0, 3).map((doc, docIndex) => (
-                        <div
-                          key={docIndex}
-                          className="text-xs bg-gray-50 dark:bg-gray-700 rounded-lg p-2 border-l-2 border-blue-500"
-                        >
-                          <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            Page {doc.metadata?.loc?.pageNumber || "Unknown"}
-                          </div>
-                          <div className="text-gray-600 dark:text-gray-400 line-clamp-2">
-                            {doc.pageContent?.substring(0, 150)}...
-                          </div>
-                        </div>
-                      ))}
-                    </div>
+                {msg.role === "assistant" ? (
+                  <SourcedAnswer
+                    content={msg.content ?? ""}
+                    sources={msg.sources ?? []}
+                    cancelled={msg.cancelled}
+                  />
+                ) : (
+                  <div className="whitespace-pre-wrap text-sm leading-relaxed">
+                    {msg.content}
                   </div>
                 )}
-                
+
                 {msg.timestamp && (
                   <div
                     className={`text-xs mt-2 ${
@@ -165,6 +367,10 @@ const ChatComponent: React.FC = () => {
                     }`}
                   >
                     {formatTime(msg.timestamp)}
+                    {msg.model && ` • ${msg.model}`}
+                    {msg.cached && " • cached answer"}
+                    {msg.usage?.total_tokens &&
+                      ` • ${msg.usage.total_tokens} tokens`}
                   </div>
                 )}
               </div>
@@ -203,6 +409,32 @@ const ChatComponent: React.FC = () => {
       {/* Input Area */}
       <div className="bg-white dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 px-4 py-4">
         <div className="max-w-4xl mx-auto">
+          {/* Documents the conversation is about */}
+          <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            {selectedDocuments.length === 0 ? (
+              <span>Searching all uploaded documents</span>
+            ) : (
+              <>
+                <span>Asking about:</span>
+                {selectedDocuments.map((doc) => (
+                  <span
+                    key={doc.id}
+                    className="flex items-center gap-1 rounded-full bg-blue-50 dark:bg-blue-900 px-2 py-0.5 text-blue-700 dark:text-blue-300"
+                  >
+                    <FileText className="w-3 h-3" />
+                    {doc.name}
+                    <button
+                      onClick={() => toggleDocument(doc.id)}
+                      title="Remove from this conversation"
+                      className="hover:text-blue-900 dark:hover:text-blue-100"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </>
+            )}
+          </div>
           <div className="flex gap-3 items-end">
             <div className="flex-1 relative">
               <Input
@@ -211,20 +443,26 @@ const ChatComponent: React.FC = () => {
                 onKeyPress={handleKeyPress}
                 placeholder="Ask a question about your document..."
                 className="pr-12 py-3 rounded-xl border-gray-300 dark:border-gray-600 focus:border-blue-500 focus:ring-blue-500 resize-none"
-                disabled={isLoading}
+                disabled={isStreaming}
               />
             </div>
-            <Button
-              onClick={handleSendChatMessage}
-              disabled={!message.trim() || isLoading}
-              className="px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? (
-                <Loader2 className="w-5 h-5 animate-spin" />
-              ) : (
+            {isStreaming ? (
+              <Button
+                onClick={handleStopStreaming}
+                title="Stop generating"
+                className="px-4 py-3 bg-gray-600 hover:bg-gray-700 text-white rounded-xl shadow-sm transition-colors duration-200"
+              >
+                <Square className="w-5 h-5" />
+              </Button>
+            ) : (
+              <Button
+                onClick={handleSendChatMessage}
+                disabled={!message.trim()}
+                className="px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
                 <Send className="w-5 h-5" />
-              )}
-            </Button>
+              </Button>
+            )}
           </div>
           
           <div className="mt-2 text-xs text-gray-500 dark:text-gray-400 text-center">
@@ -0,0 +1,168 @@
+"use client";
+
+import * as React from "react";
+import { FileText } from "lucide-react";
+import { usePdfViewer } from "./viewer-context";
+
+// Structured source returned by /chat; the model cites it inline as [id]
+export interface Source {
+  id: number;
+  documentId: string | null;
+  documentName: string;
+  fileType?: string;
+  page: number | null;
+  section?: string | null;
+  // Human-readable place in the file: "page 4", "rows 10-24", "section: Setup"
+  location?: string | null;
+  ocr?: boolean;
+  // Neighbouring chunks merged into this source, and whether its text was
+  // cut to fit the model's context window
+  chunks?: number;
+  trimmed?: boolean;
+  text: string;
+  // Fused hybrid score (0-1), the raw dense / BM25 scores behind it and,
+  // when a reranker ran, its relevance score
+  score: number | null;
+  denseScore?: number | null;
+  keywordScore?: number | null;
+  rerankScore?: number | null;
+}
+
+const formatScore = (score: number | null | undefined) =>
+  score === null || score === undefined ? "–" : score.toFixed(2);
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+interface SourcedAnswerProps {
+  content: string;
+  sources: Source[];
+  cancelled?: boolean;
+}
+
+// Assistant answer with clickable [n] markers and the list of sources below
+const SourcedAnswer: React.FC<SourcedAnswerProps> = ({
+  content,
+  sources,
+  cancelled,
+}) => {
+  const [activeId, setActiveId] = React.useState<number | null>(null);
+  const sourceRefs = React.useRef<Record<number, HTMLDivElement | null>>({});
+  const { openViewer } = usePdfViewer();
+
+  // Expand the snippet and show the cited passage in the PDF viewer
+  // (other formats only have the snippet)
+  const openSource = (id: number) => {
+    const source = sources.find((candidate) => candidate.id === id);
+    if (source?.documentId && (source.fileType ?? "pdf") === "pdf") {
+      openViewer({
+        documentId: source.documentId,
+        documentName: source.documentName,
+        page: source.page ?? 1,
+        highlight: source.text,
+      });
+    }
+    setActiveId((prev) => (prev === id ? null : id));
+    sourceRefs.current[id]?.scrollIntoView({
+      behavior: "smooth",
+      block: "nearest",
+    });
+  };
+
+  // Split the answer around [n] markers, linking those that match a source
+  const parts: React.ReactNode[] = [];
+  let lastIndex = 0;
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    const id = Number(match[1]);
+    const index = match.index ?? 0;
+    parts.push(content.slice(lastIndex, index));
+    parts.push(
+      sources.some((source) => source.id === id) ? (
+        <button
+          key={`cite-${index}`}
+          onClick={() => openSource(id)}
+          title={`Show source ${id}`}
+          className={`mx-0.5 inline-flex items-center justify-center rounded px-1 text-xs font-medium align-super ${
+            activeId === id
+              ? "bg-blue-600 text-white"
+              : "bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900 dark:text-blue-300"
+          }`}
+        >
+          {id}
+        </button>
+      ) : (
+        match[0]
+      )
+    );
+    lastIndex = index + match[0].length;
+  }
+  parts.push(content.slice(lastIndex));
+
+  return (
+    <>
+      <div className="whitespace-pre-wrap text-sm leading-relaxed">
+        {parts}
+        {cancelled && (
+          <span className="ml-1 text-xs italic text-gray-400">(stopped)</span>
+        )}
+      </div>
+
+      {sources.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
+          <div className="text-xs text-gray-500 dark:text-gray-400 mb-2 flex items-center gap-1">
+            <FileText className="w-3 h-3" />
+            Sources ({sources.length})
+          </div>
+          <div className="space-y-2">
+            {sources.map((source) => (
+              <div
+                key={source.id}
+                ref={(el) => {
+                  sourceRefs.current[source.id] = el;
+                }}
+                onClick={() => openSource(source.id)}
+                className={`text-xs rounded-lg p-2 border-l-2 cursor-pointer ${
+                  activeId === source.id
+                    ? "bg-blue-50 dark:bg-blue-950 border-blue-600"
+                    : "bg-gray-50 dark:bg-gray-700 border-blue-500"
+                }`}
+              >
+                <div className="font-medium text-gray-700 dark:text-gray-300 mb-1 flex items-center justify-between gap-2">
+                  <span className="truncate">
+                    [{source.id}] {source.documentName}
+                    {source.location
+                      ? ` • ${source.location}`
+                      : source.page !== null && ` • Page ${source.page}`}
+                    {source.ocr && " • OCR"}
+                    {(source.chunks ?? 1) > 1 && ` • ${source.chunks} chunks`}
+                    {source.trimmed && " • cut to fit"}
+                  </span>
+                  {source.score !== null && (
+                    <span
+                      className="text-gray-400 dark:text-gray-500"
+                      title={`Dense ${formatScore(source.denseScore)} • Keyword ${formatScore(source.keywordScore)} • Rerank ${formatScore(source.rerankScore)}`}
+                    >
+                      {source.score.toFixed(2)}
+                    </span>
+                  )}
+                </div>
+                <div
+                  className={`text-gray-600 dark:text-gray-400 ${
+                    activeId === source.id
+                      ? "whitespace-pre-wrap"
+                      : "line-clamp-2"
+                  }`}
+                >
+                  {activeId === source.id
+                    ? source.text
+                    : `${source.text.substring(0, 150)}...`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SourcedAnswer;
@@ -0,0 +1,99 @@
+"use client";
+
+import * as React from "react";
+
+export interface ChatDocument {
+  id: string;
+  name: string;
+}
+
+interface DocumentSelectionValue {
+  documents: ChatDocument[];
+  selectedIds: string[];
+  addDocument: (doc: ChatDocument) => void;
+  removeDocument: (id: string) => void;
+  toggleDocument: (id: string) => void;
+  syncDocuments: (docs: ChatDocument[]) => void;
+  // Bumped whenever an upload adds a document, so lists can refetch
+  version: number;
+}
+
+const DocumentSelectionContext =
+  React.createContext<DocumentSelectionValue | null>(null);
+
+// Shares the uploaded documents, and which of them the chat is about,
+// between FileUploadComponent and ChatComponent.
+export const DocumentSelectionProvider: React.FC<{
+  children: React.ReactNode;
+}> = ({ children }) => {
+  const [documents, setDocuments] = React.useState<ChatDocument[]>([]);
+  const [selectedIds, setSelectedIds] = React.useState<string[]>([]);
+  const [version, setVersion] = React.useState(0);
+
+  const addDocument = React.useCallback((doc: ChatDocument) => {
+    setDocuments((prev) =>
+      prev.some((d) => d.id === doc.id) ? prev : [...prev, doc]
+    );
+    // Newly uploaded documents are selected right away
+    setSelectedIds((prev) => (prev.includes(doc.id) ? prev : [...prev, doc.id]));
+    setVersion((prev) => prev + 1);
+  }, []);
+
+  const removeDocument = React.useCallback((id: string) => {
+    setDocuments((prev) => prev.filter((d) => d.id !== id));
+    setSelectedIds((prev) => prev.filter((selected) => selected !== id));
+  }, []);
+
+  const toggleDocument = React.useCallback((id: string) => {
+    setSelectedIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((selected) => selected !== id)
+        : [...prev, id]
+    );
+  }, []);
+
+  // Replace the list with what the server knows, dropping stale selections
+  const syncDocuments = React.useCallback((docs: ChatDocument[]) => {
+    setDocuments(docs);
+    setSelectedIds((prev) =>
+      prev.filter((id) => docs.some((doc) => doc.id === id))
+    );
+  }, []);
+
+  const value = React.useMemo(
+    () => ({
+      documents,
+      selectedIds,
+      addDocument,
+      removeDocument,
+      toggleDocument,
+      syncDocuments,
+      version,
+    }),
+    [
+      documents,
+      selectedIds,
+      addDocument,
+      removeDocument,
+      toggleDocument,
+      syncDocuments,
+      version,
+    ]
+  );
+
+  return (
+    <DocumentSelectionContext.Provider value={value}>
+      {children}
+    </DocumentSelectionContext.Provider>
+  );
+};
+
+export const useDocumentSelection = (): DocumentSelectionValue => {
+  const context = React.useContext(DocumentSelectionContext);
+  if (!context) {
+    throw new Error(
+      "useDocumentSelection must be used inside DocumentSelectionProvider"
+    );
+  }
+  return context;
+};
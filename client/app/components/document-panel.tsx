@@ -0,0 +1,290 @@
+"use client";
+
+import * as React from "react";
+import {
+  FileText,
+  Loader2,
+  RefreshCw,
+  RotateCcw,
+  Trash2,
+  AlertCircle,
+  CheckCircle,
+  Clock,
+  Eye,
+} from "lucide-react";
+import { useApiFetch } from "src/lib/api";
+import { useDocumentSelection } from "./document-context";
+import { usePdfViewer } from "./viewer-context";
+
+interface DocumentRecord {
+  id: string;
+  filename: string;
+  size?: number;
+  status: "queued" | "processing" | "ready" | "failed";
+  uploadedAt: string;
+  ingestedAt?: string;
+  pageCount?: number;
+  chunkCount?: number;
+  embedding?: string;
+  type?: string;
+  version?: number;
+  ocrPages?: number;
+  chunking?: { strategy: string; chunkSize: number; chunkOverlap: number; unit: string };
+  error?: string | null;
+}
+
+// How often to refresh while something is still being indexed
+const POLL_INTERVAL_MS = 3000;
+
+const DocumentPanel: React.FC = () => {
+  const [records, setRecords] = React.useState<DocumentRecord[]>([]);
+  const [isLoading, setIsLoading] = React.useState<boolean>(false);
+  const [error, setError] = React.useState<string | null>(null);
+  const [busyId, setBusyId] = React.useState<string | null>(null);
+  const { selectedIds, toggleDocument, syncDocuments, version } =
+    useDocumentSelection();
+  const { openViewer } = usePdfViewer();
+  const apiFetch = useApiFetch();
+
+  const fetchDocuments = React.useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await apiFetch("/documents");
+      if (!res.ok) throw new Error("Failed to load documents");
+      const data = await res.json();
+      const documents: DocumentRecord[] = data.documents ?? [];
+
+      setRecords(documents);
+      syncDocuments(documents.map((doc) => ({ id: doc.id, name: doc.filename })));
+      setError(null);
+    } catch (err) {
+      console.error("Error loading documents:", err);
+      setError("Could not load documents");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [apiFetch, syncDocuments]);
+
+  React.useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments, version]);
+
+  const hasPending = records.some(
+    (doc) => doc.status === "queued" || doc.status === "processing"
+  );
+
+  React.useEffect(() => {
+    if (!hasPending) return;
+    const timer = setInterval(fetchDocuments, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, fetchDocuments]);
+
+  const handleDelete = async (doc: DocumentRecord) => {
+    if (!window.confirm(`Delete "${doc.filename}" and all of its chunks?`)) {
+      return;
+    }
+    setBusyId(doc.id);
+    try {
+      const res = await apiFetch(`/documents/${doc.id}`, {
+        method: "DELETE",
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error(data?.error ?? `Could not delete ${doc.filename}`);
+      }
+      await fetchDocuments();
+    } catch (err) {
+      console.error("Error deleting document:", err);
+      setError(
+        err instanceof Error ? err.message : `Could not delete ${doc.filename}`
+      );
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReindex = async (doc: DocumentRecord) => {
+    setBusyId(doc.id);
+    try {
+      const res = await apiFetch(`/documents/${doc.id}/reindex`, {
+        method: "POST",
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error(data?.error ?? "Re-index failed");
+      }
+      await fetchDocuments();
+    } catch (err) {
+      console.error("Error re-indexing document:", err);
+      setError(
+        err instanceof Error ? err.message : `Could not re-index ${doc.filename}`
+      );
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Non-PDF files open in a new tab (Word files download). A plain link
+  // cannot send the auth header, so the file is fetched here first.
+  const handleOpenFile = async (doc: DocumentRecord) => {
+    try {
+      const res = await apiFetch(`/documents/${doc.id}/file`);
+      if (!res.ok) throw new Error("Could not load file");
+      const url = URL.createObjectURL(await res.blob());
+
+      const link = document.createElement("a");
+      link.href = url;
+      if (doc.type === "docx") link.download = doc.filename;
+      else link.target = "_blank";
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60_000);
+    } catch (err) {
+      console.error("Error opening document:", err);
+      setError(`Could not open ${doc.filename}`);
+    }
+  };
+
+  const formatDate = (value?: string) =>
+    value ? new Date(value).toLocaleString() : "—";
+
+  return (
+    <div className="w-full max-w-2xl mx-auto px-6 pb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100">
+          Documents ({records.length})
+        </h4>
+        <button
+          onClick={fetchDocuments}
+          title="Refresh"
+          className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 text-xs text-red-600 dark:text-red-400 flex items-center gap-1">
+          <AlertCircle className="w-3 h-3" />
+          {error}
+        </div>
+      )}
+
+      {records.length === 0 && !isLoading && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          No documents have been uploaded yet.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {records.map((doc) => (
+          <div
+            key={doc.id}
+            className="bg-white dark:bg-gray-800 rounded-lg p-3 border border-gray-200 dark:border-gray-700 shadow-sm"
+          >
+            <div className="flex items-start justify-between gap-2">
+              <label className="flex items-start gap-2 min-w-0 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={selectedIds.includes(doc.id)}
+                  disabled={doc.status !== "ready"}
+                  onChange={() => toggleDocument(doc.id)}
+                  title="Include this document in the chat"
+                />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate flex items-center gap-1">
+                    <FileText className="w-3 h-3 flex-shrink-0" />
+                    {doc.filename}
+                  </p>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 flex items-center gap-1">
+                    {doc.status === "ready" && (
+                      <CheckCircle className="w-3 h-3 text-green-600" />
+                    )}
+                    {doc.status === "failed" && (
+                      <AlertCircle className="w-3 h-3 text-red-600" />
+                    )}
+                    {doc.status === "queued" && <Clock className="w-3 h-3" />}
+                    {doc.status === "processing" && (
+                      <Loader2 className="w-3 h-3 animate-spin" />
+                    )}
+                    <span>{doc.status}</span>
+                    {doc.status === "ready" && (
+                      <span>
+                        • {doc.pageCount ?? "?"} pages • {doc.chunkCount ?? "?"}{" "}
+                        chunks
+                        {doc.chunking && (
+                          <span
+                            title={`${doc.chunking.chunkSize} ${doc.chunking.unit}, ${doc.chunking.chunkOverlap} overlap`}
+                          >
+                            {" "}
+                            ({doc.chunking.strategy})
+                          </span>
+                        )}
+                        {!!doc.ocrPages && ` • ${doc.ocrPages} OCR pages`}
+                        {(doc.version ?? 1) > 1 && ` • v${doc.version}`}
+                      </span>
+                    )}
+                  </div>
+                  {doc.status === "failed" && doc.error && (
+                    <p className="text-xs text-red-600 dark:text-red-400">
+                      {doc.error}
+                    </p>
+                  )}
+                  {doc.status === "ready" && (
+                    <p className="text-xs text-gray-400 dark:text-gray-500 truncate">
+                      {doc.embedding} • {formatDate(doc.ingestedAt)}
+                    </p>
+                  )}
+                </div>
+              </label>
+
+              <div className="flex items-center gap-1 flex-shrink-0">
+                {busyId === doc.id ? (
+                  <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+                ) : (
+                  <>
+                    <button
+                      onClick={() =>
+                        // Only PDFs have the viewer pane; other files open as-is
+                        (doc.type ?? "pdf") === "pdf"
+                          ? openViewer({
+                              documentId: doc.id,
+                              documentName: doc.filename,
+                              page: 1,
+                            })
+                          : handleOpenFile(doc)
+                      }
+                      title={
+                        (doc.type ?? "pdf") === "pdf" ? "View PDF" : "Open file"
+                      }
+                      className="p-1 text-gray-400 hover:text-blue-600"
+                    >
+                      <Eye className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleReindex(doc)}
+                      title="Re-index"
+                      disabled={doc.status === "processing"}
+                      className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(doc)}
+                      title="Delete"
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentPanel;
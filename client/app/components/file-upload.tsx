@@ -11,19 +11,110 @@ import {
   Loader2,
   Cloud
 } from 'lucide-react';
+import { useApiFetch } from 'src/lib/api';
+import { useDocumentSelection } from './document-context';
 
 interface UploadedFile {
   name: string;
   size: number;
-  status: 'uploading' | 'success' | 'error';
+  status: 'uploading' | 'processing' | 'success' | 'error';
   progress: number;
+  stage?: string;
   error?: string;
+  documentId?: string;
+  // Same bytes as an earlier upload: nothing was re-indexed
+  duplicate?: boolean;
+  version?: number;
+  // Refused by the server's upload checks; uploading it again cannot help
+  rejected?: boolean;
 }
 
+// Shape of GET /jobs/:id
+interface JobStatus {
+  stage: 'queued' | 'retrying' | 'parsing' | 'ocr' | 'chunking' | 'embedding' | 'stored' | 'failed';
+  progress?: { embedded?: number; done?: number; total?: number; throttledMs?: number };
+  reason?: string;
+  attemptsMade?: number;
+  attempts?: number;
+}
+
+const JOB_POLL_INTERVAL_MS = 1000;
+// Failed status requests in a row before an upload is given up on; the
+// delay doubles after each one
+const JOB_POLL_MAX_RETRIES = 5;
+
+// Formats POST /upload accepts (see server/loaders)
+const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.markdown', '.html', '.htm', '.csv'];
+
+const isAccepted = (file: File) =>
+  ACCEPTED_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+
+// Server default (UPLOAD_MAX_FILE_MB); the server enforces its own limit
+const MAX_FILE_SIZE_MB = 10;
+
+// Splitters the worker offers (see server/chunking.js); '' = server default
+const CHUNK_STRATEGIES = [
+  { value: '', label: 'Default' },
+  { value: 'recursive', label: 'Recursive (paragraphs, then sentences)' },
+  { value: 'sentence', label: 'Whole sentences, token-sized' },
+  { value: 'heading', label: 'Section-aware (keeps headings)' },
+  { value: 'character', label: 'Character (legacy)' },
+];
+
+// Map an ingestion stage to a progress percentage and a label
+const describeStage = (job: JobStatus): { progress: number; label: string } => {
+  switch (job.stage) {
+    case 'parsing':
+      return { progress: 15, label: 'Reading file...' };
+    case 'ocr': {
+      const done = job.progress?.done ?? 0;
+      const total = job.progress?.total || 1;
+      return {
+        progress: 15 + Math.round((10 * done) / total),
+        label: `Reading scanned pages ${done}/${job.progress?.total ?? '?'} (OCR)...`,
+      };
+    }
+    case 'chunking':
+      return { progress: 25, label: 'Splitting into chunks...' };
+    case 'embedding': {
+      const embedded = job.progress?.embedded ?? 0;
+      const total = job.progress?.total || 1;
+      return {
+        progress: 30 + Math.round((65 * embedded) / total),
+        label: job.progress?.throttledMs
+          ? `Embedding ${embedded}/${job.progress?.total ?? '?'} chunks (waiting for rate limit)...`
+          : `Embedding ${embedded}/${job.progress?.total ?? '?'} chunks...`,
+      };
+    }
+    case 'retrying':
+      return {
+        progress: 5,
+        label: `Rate limited, retrying (attempt ${(job.attemptsMade ?? 0) + 1} of ${job.attempts ?? '?'})...`,
+      };
+    case 'stored':
+      return { progress: 100, label: 'Ready' };
+    default:
+      return { progress: 5, label: 'Waiting in queue...' };
+  }
+};
+
 const FileUploadComponent: React.FC = () => {
   const [isDragOver, setIsDragOver] = React.useState(false);
   const [uploadedFiles, setUploadedFiles] = React.useState<UploadedFile[]>([]);
+  const [chunkStrategy, setChunkStrategy] = React.useState('');
   const fileInputRef = React.useRef<HTMLInputElement>(null);
+  const { selectedIds, addDocument, removeDocument, toggleDocument } =
+    useDocumentSelection();
+  const apiFetch = useApiFetch();
+  // Polling stops once the component is gone
+  const mountedRef = React.useRef(true);
+
+  React.useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
 
   const formatFileSize = (bytes: number): string => {
     if (bytes === 0) return '0 Bytes';
@@ -44,53 +135,100 @@ const FileUploadComponent: React.FC = () => {
 
     setUploadedFiles(prev => [...prev, newFile]);
 
+    const updateFile = (patch: Partial<UploadedFile>) => {
+      setUploadedFiles(prev =>
+        prev.map(f => (f.name === file.name ? { ...f, ...patch } : f))
+      );
+    };
+
     try {
       const formData = new FormData();
-      formData.append('pdf', file);
-
-      // Simulate progress for better UX
-      const progressInterval = setInterval(() => {
-        setUploadedFiles(prev => 
-          prev.map(f => 
-            f.name === file.name && f.status === 'uploading'
-              ? { ...f, progress: Math.min(f.progress + 10, 90) }
-              : f
-          )
-        );
-      }, 200);
+      formData.append('file', file);
+      if (chunkStrategy) formData.append('chunkStrategy', chunkStrategy);
 
-      const response = await fetch('http://localhost:8000/upload/pdf', {
+      const response = await apiFetch('/upload', {
         method: 'POST',
         body: formData,
       });
 
-      clearInterval(progressInterval);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        // Validation errors carry details.code (file_too_large, encrypted_pdf, ...)
+        if (body?.details?.code) {
+          updateFile({ status: 'error', progress: 0, error: body.error, rejected: true });
+          return;
+        }
+        throw new Error(body?.error ?? 'Upload failed');
+      }
+
+      const data = await response.json();
+      if (data.duplicate && data.status === 'ready') {
+        updateFile({ status: 'success', progress: 100, documentId: data.documentId, duplicate: true });
+        addDocument({ id: data.documentId, name: file.name });
+        return;
+      }
+      updateFile({
+        status: 'processing',
+        progress: 5,
+        stage: 'Waiting in queue...',
+        duplicate: data.duplicate,
+        version: data.version,
+      });
 
-      if (response.ok) {
-        setUploadedFiles(prev =>
-          prev.map(f =>
-            f.name === file.name
-              ? { ...f, status: 'success', progress: 100 }
-              : f
-          )
+      // Follow the worker until the document is indexed (or fails)
+      let failures = 0;
+      while (true) {
+        await new Promise(resolve =>
+          setTimeout(resolve, JOB_POLL_INTERVAL_MS * 2 ** failures)
         );
-        console.log('File uploaded successfully');
-      } else {
-        throw new Error('Upload failed');
+        if (!mountedRef.current) return;
+
+        let job: JobStatus;
+        try {
+          const jobResponse = await apiFetch(`/jobs/${data.jobId}`);
+          if (!jobResponse.ok) {
+            throw new Error(`Job status request failed (${jobResponse.status})`);
+          }
+          job = await jobResponse.json();
+          failures = 0;
+        } catch {
+          // A hiccup of the server or the network is no reason to give up yet
+          failures += 1;
+          if (failures > JOB_POLL_MAX_RETRIES) {
+            throw new Error('Lost track of the indexing job');
+          }
+          updateFile({
+            stage: `Job status unavailable, retrying (${failures} of ${JOB_POLL_MAX_RETRIES})...`,
+          });
+          continue;
+        }
+
+        if (job.stage === 'failed') {
+          updateFile({
+            status: 'error',
+            progress: 0,
+            error: job.reason ?? 'Indexing failed',
+          });
+          return;
+        }
+
+        const { progress, label } = describeStage(job);
+        if (job.stage === 'stored') {
+          updateFile({ status: 'success', progress, stage: label, documentId: data.documentId });
+          // Only now is the document worth chatting about
+          addDocument({ id: data.documentId, name: file.name });
+          return;
+        }
+        updateFile({ progress, stage: label });
       }
     } catch (error) {
-      setUploadedFiles(prev =>
-        prev.map(f =>
-          f.name === file.name
-            ? { 
-                ...f, 
-                status: 'error', 
-                progress: 0,
-                error: 'Upload failed. Please try again.'
-              }
-            : f
-        )
-      );
+      updateFile({
+        status: 'error',
+        progress: 0,
+        error: error instanceof Error && error.message !== 'Upload failed'
+          ? error.message
+          : 'Upload failed. Please try again.',
+      });
       console.error('Upload error:', error);
     }
   };
@@ -98,17 +236,23 @@ const FileUploadComponent: React.FC = () => {
   const handleFileSelect = (files: FileList | null) => {
     if (!files) return;
 
+    const refuse = (file: File, error: string) =>
+      setUploadedFiles(prev => [...prev, {
+        name: file.name,
+        size: file.size,
+        status: 'error',
+        progress: 0,
+        error,
+        rejected: true,
+      }]);
+
     Array.from(files).forEach(file => {
-      if (file.type === 'application/pdf') {
-        uploadFile(file);
+      if (!isAccepted(file)) {
+        refuse(file, 'Only PDF, Word, text, Markdown, HTML and CSV files are allowed');
+      } else if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+        refuse(file, `The file is larger than ${MAX_FILE_SIZE_MB} MB`);
       } else {
-        setUploadedFiles(prev => [...prev, {
-          name: file.name,
-          size: file.size,
-          status: 'error',
-          progress: 0,
-          error: 'Only PDF files are allowed'
-        }]);
+        uploadFile(file);
       }
     });
   };
@@ -134,6 +278,8 @@ const FileUploadComponent: React.FC = () => {
   };
 
   const removeFile = (fileName: string) => {
+    const file = uploadedFiles.find(f => f.name === fileName);
+    if (file?.documentId) removeDocument(file.documentId);
     setUploadedFiles(prev => prev.filter(f => f.name !== fileName));
   };
 
@@ -165,7 +311,7 @@ const FileUploadComponent: React.FC = () => {
         <input
           ref={fileInputRef}
           type="file"
-          accept="application/pdf"
+          accept={ACCEPTED_EXTENSIONS.join(',')}
           multiple
           className="hidden"
           onChange={(e) => handleFileSelect(e.target.files)}
@@ -188,19 +334,35 @@ const FileUploadComponent: React.FC = () => {
 
           <div>
             <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
-              {isDragOver ? 'Drop your PDF here' : 'Upload PDF Document'}
+              {isDragOver ? 'Drop your files here' : 'Upload Documents'}
             </h3>
             <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
-              Drag & drop your PDF files here, or click to browse
+              Drag & drop your files here, or click to browse
             </p>
             <div className="flex items-center justify-center space-x-2 text-xs text-gray-400 dark:text-gray-500">
               <FileText className="w-4 h-4" />
-              <span>PDF files only • Max 10MB</span>
+              <span>PDF, DOCX, TXT, MD, HTML, CSV • Max {MAX_FILE_SIZE_MB}MB</span>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Chunking strategy for the next uploads */}
+      <label className="mt-3 flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-300">
+        <span>Chunking</span>
+        <select
+          value={chunkStrategy}
+          onChange={(e) => setChunkStrategy(e.target.value)}
+          className="flex-1 min-w-0 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1"
+        >
+          {CHUNK_STRATEGIES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
       {/* Upload Progress & File List */}
       {uploadedFiles.length > 0 && (
         <div className="mt-6 space-y-3">
@@ -224,7 +386,7 @@ const FileUploadComponent: React.FC = () => {
                       : 'bg-blue-100 dark:bg-blue-900 text-blue-600 dark:text-blue-400'
                     }
                   `}>
-                    {file.status === 'uploading' && <Loader2 className="w-4 h-4 animate-spin" />}
+                    {(file.status === 'uploading' || file.status === 'processing') && <Loader2 className="w-4 h-4 animate-spin" />}
                     {file.status === 'success' && <CheckCircle className="w-4 h-4" />}
                     {file.status === 'error' && <AlertCircle className="w-4 h-4" />}
                   </div>
@@ -235,8 +397,13 @@ const FileUploadComponent: React.FC = () => {
                     </p>
                     <div className="flex items-center space-x-2 text-xs text-gray-500 dark:text-gray-400">
                       <span>{formatFileSize(file.size)}</span>
+                      {file.version !== undefined && file.version > 1 && (
+                        <span>• Version {file.version}</span>
+                      )}
                       {file.status === 'success' && (
-                        <span className="text-green-600 dark:text-green-400">• Uploaded successfully</span>
+                        <span className="text-green-600 dark:text-green-400">
+                          • {file.duplicate ? 'Already uploaded, ready to chat' : 'Ready to chat'}
+                        </span>
                       )}
                       {file.status === 'error' && file.error && (
                         <span className="text-red-600 dark:text-red-400">• {file.error}</span>
@@ -246,7 +413,21 @@ const FileUploadComponent: React.FC = () => {
                 </div>
 
                 <div className="flex items-center space-x-2">
-                  {file.status === 'error' && (
+                  {file.documentId && (
+                    <label
+                      className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-300 cursor-pointer"
+                      title="Include this document in the chat"
+                      onClick={(e) => e.stopPropagation()}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(file.documentId)}
+                        onChange={() => toggleDocument(file.documentId!)}
+                      />
+                      <span>Chat</span>
+                    </label>
+                  )}
+                  {file.status === 'error' && !file.rejected && (
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
@@ -270,10 +451,10 @@ const FileUploadComponent: React.FC = () => {
               </div>
 
               {/* Progress Bar */}
-              {file.status === 'uploading' && (
+              {(file.status === 'uploading' || file.status === 'processing') && (
                 <div className="mt-3">
                   <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
-                    <span>Uploading...</span>
+                    <span>{file.status === 'uploading' ? 'Uploading...' : file.stage}</span>
                     <span>{file.progress}%</span>
                   </div>
                   <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
@@ -295,7 +476,7 @@ const FileUploadComponent: React.FC = () => {
           <div className="flex items-center space-x-2">
             <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400" />
             <p className="text-sm text-green-800 dark:text-green-200">
-              Your PDF has been processed successfully! You can now start chatting about its content.
+              Your document has been processed successfully! You can now start chatting about its content.
             </p>
           </div>
         </div>
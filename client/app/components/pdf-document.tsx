@@ -0,0 +1,150 @@
+"use client";
+
+import * as React from "react";
+import { Document, Page, pdfjs } from "react-pdf";
+import "react-pdf/dist/Page/TextLayer.css";
+import "react-pdf/dist/Page/AnnotationLayer.css";
+import { ChevronLeft, ChevronRight, Loader2 } from "lucide-react";
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/build/pdf.worker.min.mjs",
+  import.meta.url
+).toString();
+
+interface PdfDocumentProps {
+  url: string;
+  // Clerk session token for the Express server
+  authToken: string;
+  page: number;
+  highlight?: string;
+}
+
+const normalize = (text: string) =>
+  text.toLowerCase().replace(/\s+/g, " ").trim();
+
+const escapeHtml = (text: string) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Text items shorter than this match almost anything, so they are never marked
+const MIN_HIGHLIGHT_LENGTH = 4;
+
+// react-pdf rendering; loaded only in the browser (see pdf-viewer.tsx)
+const PdfDocument: React.FC<PdfDocumentProps> = ({
+  url,
+  authToken,
+  page,
+  highlight,
+}) => {
+  const [numPages, setNumPages] = React.useState<number>(0);
+  const [pageNumber, setPageNumber] = React.useState<number>(page);
+  const [width, setWidth] = React.useState<number>(600);
+  const containerRef = React.useRef<HTMLDivElement>(null);
+
+  // A new object makes react-pdf reload, so only build one per file
+  const file = React.useMemo(
+    () => ({ url, httpHeaders: { Authorization: `Bearer ${authToken}` } }),
+    [url, authToken]
+  );
+
+  // Jump when a different citation is opened
+  React.useEffect(() => {
+    setPageNumber(page);
+  }, [page, url]);
+
+  React.useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.max(entry.contentRect.width - 16, 200));
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const haystack = React.useMemo(
+    () => (highlight ? normalize(highlight) : ""),
+    [highlight]
+  );
+
+  // Wrap the text items that belong to the retrieved chunk in <mark>
+  const renderText = React.useCallback(
+    ({ str }: { str: string }) => {
+      const needle = normalize(str);
+      if (
+        pageNumber === page &&
+        needle.length >= MIN_HIGHLIGHT_LENGTH &&
+        haystack.includes(needle)
+      ) {
+        return `<mark class="bg-yellow-300/60 text-transparent">${escapeHtml(str)}</mark>`;
+      }
+      return escapeHtml(str);
+    },
+    [haystack, pageNumber, page]
+  );
+
+  const scrollToHighlight = () => {
+    containerRef.current
+      ?.querySelector("mark")
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div ref={containerRef} className="flex-1 overflow-auto p-2">
+        <Document
+          file={file}
+          onLoadSuccess={({ numPages }) => setNumPages(numPages)}
+          loading={
+            <div className="flex items-center gap-2 p-4 text-sm text-gray-500">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading PDF...
+            </div>
+          }
+          error={
+            <div className="p-4 text-sm text-red-600">
+              Could not load this PDF.
+            </div>
+          }
+        >
+          <Page
+            pageNumber={pageNumber}
+            width={width}
+            customTextRenderer={renderText}
+            onRenderTextLayerSuccess={scrollToHighlight}
+          />
+        </Document>
+      </div>
+
+      {numPages > 0 && (
+        <div className="flex items-center justify-center gap-3 border-t border-gray-200 dark:border-gray-700 py-2 text-xs text-gray-600 dark:text-gray-300">
+          <button
+            onClick={() => setPageNumber((prev) => Math.max(prev - 1, 1))}
+            disabled={pageNumber <= 1}
+            className="p-1 disabled:opacity-40"
+            title="Previous page"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span>
+            Page {pageNumber} of {numPages}
+          </span>
+          <button
+            onClick={() =>
+              setPageNumber((prev) => Math.min(prev + 1, numPages))
+            }
+            disabled={pageNumber >= numPages}
+            className="p-1 disabled:opacity-40"
+            title="Next page"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PdfDocument;
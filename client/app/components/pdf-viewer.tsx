@@ -0,0 +1,81 @@
+"use client";
+
+import * as React from "react";
+import dynamic from "next/dynamic";
+import { useAuth } from "@clerk/nextjs";
+import { FileText, Loader2, X } from "lucide-react";
+import { API_URL } from "src/lib/api";
+import { usePdfViewer } from "./viewer-context";
+
+// pdf.js needs browser APIs, so never render it on the server
+const PdfDocument = dynamic(() => import("./pdf-document"), { ssr: false });
+
+// Side pane showing the cited page of the stored PDF
+const PdfViewerPane: React.FC = () => {
+  const { target, closeViewer } = usePdfViewer();
+  const { getToken } = useAuth();
+  const [authToken, setAuthToken] = React.useState<string | null>(null);
+  const [tokenError, setTokenError] = React.useState<string | null>(null);
+  const documentId = target?.documentId;
+
+  // pdf.js fetches the file itself, so it needs the session token up front.
+  // Without a session (signed out, expired) there is nothing to wait for.
+  React.useEffect(() => {
+    if (!documentId) return;
+    let cancelled = false;
+    setAuthToken(null);
+    setTokenError(null);
+    getToken()
+      .then((token) => {
+        if (cancelled) return;
+        if (token) setAuthToken(token);
+        else
+          setTokenError("You are signed out. Sign in again to view this PDF.");
+      })
+      .catch(() => {
+        if (!cancelled) setTokenError("Could not load this PDF.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, getToken]);
+
+  if (!target) return null;
+
+  return (
+    <div className="w-full md:w-[45%] flex flex-col border-l border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
+      <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+        <div className="flex items-center gap-2 min-w-0 text-sm font-medium text-gray-900 dark:text-gray-100">
+          <FileText className="w-4 h-4 flex-shrink-0" />
+          <span className="truncate">{target.documentName}</span>
+        </div>
+        <button
+          onClick={closeViewer}
+          title="Close viewer"
+          className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex-1 min-h-0">
+        {authToken ? (
+          <PdfDocument
+            url={`${API_URL}/documents/${target.documentId}/file`}
+            authToken={authToken}
+            page={target.page}
+            highlight={target.highlight}
+          />
+        ) : tokenError ? (
+          <div className="p-4 text-sm text-red-600">{tokenError}</div>
+        ) : (
+          <div className="flex items-center gap-2 p-4 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading PDF...
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewerPane;
@@ -0,0 +1,54 @@
+"use client";
+
+import * as React from "react";
+
+// What the PDF viewer should show: a page of a document, optionally with
+// the text of a retrieved chunk to highlight
+export interface ViewerTarget {
+  documentId: string;
+  documentName: string;
+  page: number;
+  highlight?: string;
+}
+
+interface PdfViewerValue {
+  target: ViewerTarget | null;
+  openViewer: (target: ViewerTarget) => void;
+  closeViewer: () => void;
+}
+
+const PdfViewerContext = React.createContext<PdfViewerValue | null>(null);
+
+// Lets citations and the document panel open the viewer pane
+export const PdfViewerProvider: React.FC<{ children: React.ReactNode }> = ({
+  children,
+}) => {
+  const [target, setTarget] = React.useState<ViewerTarget | null>(null);
+
+  const openViewer = React.useCallback((next: ViewerTarget) => {
+    setTarget(next);
+  }, []);
+
+  const closeViewer = React.useCallback(() => {
+    setTarget(null);
+  }, []);
+
+  const value = React.useMemo(
+    () => ({ target, openViewer, closeViewer }),
+    [target, openViewer, closeViewer]
+  );
+
+  return (
+    <PdfViewerContext.Provider value={value}>
+      {children}
+    </PdfViewerContext.Provider>
+  );
+};
+
+export const usePdfViewer = (): PdfViewerValue => {
+  const context = React.useContext(PdfViewerContext);
+  if (!context) {
+    throw new Error("usePdfViewer must be used inside PdfViewerProvider");
+  }
+  return context;
+};
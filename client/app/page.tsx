@@ -1,20 +1,30 @@
 import FileUploadComponent from './components/file-upload';
 import ChatComponent from './components/chat';
+import DocumentPanel from './components/document-panel';
+import PdfViewerPane from './components/pdf-viewer';
+import { DocumentSelectionProvider } from './components/document-context';
+import { PdfViewerProvider } from './components/viewer-context';
 
 export default function Home() {
   return (
-    <div className="flex flex-col md:flex-row h-[calc(100vh-84px)] w-screen">
-      {/* Sidebar - File Upload */}
-      <div className="w-full md:w-[30vw] p-6 bg-gray-100 flex justify-center items-center border-b-2 md:border-b-0 md:border-r-2">
-        <FileUploadComponent />
-      </div>
+    <DocumentSelectionProvider>
+      <PdfViewerProvider>
+        <div className="flex flex-col md:flex-row h-[calc(100vh-84px)] w-screen">
+          {/* Sidebar - File Upload & Documents */}
+          <div className="w-full md:w-[30vw] p-6 bg-gray-100 flex flex-col overflow-y-auto border-b-2 md:border-b-0 md:border-r-2">
+            <FileUploadComponent />
+            <DocumentPanel />
+          </div>
 
-      {/* Main Content - Chat */}
-      <div className="w-full md:w-[70vw] flex flex-col">
-        <div className="flex-grow overflow-y-auto bg-white">
-          <ChatComponent />
+          {/* Main Content - Chat & PDF Viewer */}
+          <div className="w-full md:w-[70vw] flex flex-col md:flex-row">
+            <div className="flex-1 min-w-0 overflow-y-auto bg-white">
+              <ChatComponent />
+            </div>
+            <PdfViewerPane />
+          </div>
         </div>
-      </div>
-    </div>
+      </PdfViewerProvider>
+    </DocumentSelectionProvider>
   );
 }
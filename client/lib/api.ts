@@ -0,0 +1,25 @@
+import * as React from "react";
+import { useAuth } from "@clerk/nextjs";
+
+// Base URL of the Express server (see server/index.js)
+export const API_URL =
+  process.env.NEXT_PUBLIC_API_URL ?? "http://localhost:8000";
+
+/**
+ * `fetch` for the Express server that sends the signed-in user's Clerk
+ * session token. The server scopes documents, chats and jobs to that user
+ * and answers 401 without it. `path` is relative to API_URL.
+ */
+export function useApiFetch() {
+  const { getToken } = useAuth();
+
+  return React.useCallback(
+    async (path: string, init: RequestInit = {}) => {
+      const headers = new Headers(init.headers);
+      const token = await getToken();
+      if (token) headers.set("Authorization", `Bearer ${token}`);
+      return fetch(`${API_URL}${path}`, { ...init, headers });
+    },
+    [getToken]
+  );
+}
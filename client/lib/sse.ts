@@ -0,0 +1,43 @@
+export interface ServerSentEvent {
+  event: string;
+  data: unknown;
+}
+
+/**
+ * Read a `text/event-stream` response and call `onEvent` for every event.
+ * Uses fetch instead of EventSource so the request can be aborted and
+ * non-2xx responses can be read as JSON errors.
+ */
+export async function readEventStream(
+  response: Response,
+  onEvent: (event: ServerSentEvent) => void
+) {
+  if (!response.body) throw new Error("Response has no body");
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      let event = "message";
+      const data: string[] = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      }
+      if (data.length > 0) {
+        onEvent({ event, data: JSON.parse(data.join("\n")) });
+      }
+    }
+  }
+}
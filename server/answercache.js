@@ -0,0 +1,175 @@
+import { config } from "./config.js";
+import { redis } from "./redis.js";
+import { sha256 } from "./hashing.js";
+import { getEmbedder } from "./embeddings/index.js";
+import { encodeVector, decodeVector } from "./embeddings/cache.js";
+import { describePrompt } from "./prompts/index.js";
+
+// ===================================================
+// Semantic answer cache (Valkey)
+// ===================================================
+// rag:answers:<scope>                list of JSON { question, vector, answer,
+//                                    sources, rerank, createdAt }, newest first
+// rag:answers:document:<documentId>  set of scopes that searched the document
+// rag:answers:owner:<ownerId>        set of scopes that searched all of the
+//                                    owner's documents
+// A scope is one owner asking one model over one set of documents with the
+// same retrieval options and prompt template. A new question reuses the
+// answer of the most similar cached question in its scope, if the two
+// question embeddings are at least ANSWER_CACHE_THRESHOLD alike. Indexing
+// or deleting a document drops every scope that could have retrieved from it.
+const scopeKey = (scope) => `rag:answers:${scope}`;
+const documentIndexKey = (documentId) => `rag:answers:document:${documentId}`;
+const ownerIndexKey = (ownerId) => `rag:answers:owner:${ownerId}`;
+
+const ttlSeconds = () => config.answerCache.ttlHours * 60 * 60;
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Everything besides the question that the answer depends on
+const scopeOf = ({ ownerId, documentIds, resolved, retrieval, prompt }) =>
+  sha256(
+    JSON.stringify({
+      ownerId,
+      documentIds: [...new Set(documentIds)].sort(),
+      provider: resolved.provider.name,
+      model: resolved.model,
+      k: retrieval.k,
+      denseWeight: retrieval.denseWeight,
+      keywordWeight: retrieval.keywordWeight,
+      reranker: retrieval.reranker?.name ?? null,
+      rerankCandidates: retrieval.rerankCandidates,
+      tokenBudget: retrieval.tokenBudget,
+      prompt: describePrompt(prompt),
+    })
+  );
+
+/**
+ * Look `question` up among the answers cached for its scope (see
+ * prepareAnswer for the options). Resolves with a lookup whose `hit` is
+ * `{ question, answer, sources, rerank, similarity, cachedAt }` or null;
+ * pass a miss to cacheAnswer once the answer is generated. Resolves with
+ * null when the cache cannot be used, so chat carries on without it.
+ */
+export async function findCachedAnswer(question, options) {
+  const { ownerId, documentIds } = options;
+  const scope = scopeOf(options);
+
+  try {
+    const vector = await getEmbedder().embeddings.embedQuery(question);
+    const entries = await redis.lrange(scopeKey(scope), 0, -1);
+
+    let hit = null;
+    for (const raw of entries) {
+      const entry = JSON.parse(raw);
+      const similarity = cosineSimilarity(
+        vector,
+        decodeVector(Buffer.from(entry.vector, "base64"))
+      );
+      if (
+        similarity >= config.answerCache.threshold &&
+        similarity > (hit?.similarity ?? -Infinity)
+      ) {
+        hit = {
+          question: entry.question,
+          answer: entry.answer,
+          sources: entry.sources,
+          rerank: entry.rerank,
+          similarity,
+          cachedAt: entry.createdAt,
+        };
+      }
+    }
+    return { scope, ownerId, documentIds, vector, hit };
+  } catch (error) {
+    console.error("🚨 Answer cache unavailable:", error.message);
+    return null;
+  }
+}
+
+// Remember a freshly generated answer under the lookup that missed
+export async function cacheAnswer(
+  lookup,
+  { question, answer, sources, rerank }
+) {
+  if (!lookup || lookup.hit) return;
+
+  const key = scopeKey(lookup.scope);
+  const entry = {
+    question,
+    vector: encodeVector(lookup.vector).toString("base64"),
+    answer,
+    sources,
+    rerank,
+    createdAt: new Date().toISOString(),
+  };
+  // Without a document selection every one of the owner's documents counts
+  const indexKeys =
+    lookup.documentIds.length > 0
+      ? lookup.documentIds.map(documentIndexKey)
+      : [ownerIndexKey(lookup.ownerId)];
+
+  const multi = redis
+    .multi()
+    .lpush(key, JSON.stringify(entry))
+    .ltrim(key, 0, config.answerCache.maxEntries - 1)
+    .expire(key, ttlSeconds());
+  for (const indexKey of indexKeys) {
+    multi.sadd(indexKey, lookup.scope).expire(indexKey, ttlSeconds());
+  }
+  await multi.exec().catch((error) => {
+    console.error("🚨 Could not cache answer:", error.message);
+  });
+}
+
+/**
+ * Forget every cached answer that may have used `documentId`: those asked
+ * about it by name and those asked about all of `ownerId`'s documents.
+ * Called whenever the document is indexed (again) or deleted, also while
+ * the cache is off so that turning it back on serves nothing stale.
+ */
+export async function invalidateAnswers({ documentId, ownerId }) {
+  const indexKeys = [documentIndexKey(documentId)];
+  if (ownerId) indexKeys.push(ownerIndexKey(ownerId));
+
+  const scopes = [
+    ...new Set(
+      (await Promise.all(indexKeys.map((key) => redis.smembers(key)))).flat()
+    ),
+  ];
+  await redis.del(...indexKeys, ...scopes.map(scopeKey));
+  if (scopes.length > 0) {
+    console.log(
+      `🧹 Dropped cached answers of ${scopes.length} scope(s) using ${documentId}`
+    );
+  }
+}
+
+// Fields added to every chat response
+export const describeCacheUse = (lookup) =>
+  lookup?.hit
+    ? {
+        cached: true,
+        cache: {
+          question: lookup.hit.question,
+          similarity: Number(lookup.hit.similarity.toFixed(4)),
+          cachedAt: lookup.hit.cachedAt,
+        },
+      }
+    : { cached: false };
+
+// Logged by every route that answers from the cache
+export const logCacheHit = ({ hit }) =>
+  console.log(
+    `♻️ Reusing the cached answer to "${hit.question}" (similarity ${hit.similarity.toFixed(3)})`
+  );
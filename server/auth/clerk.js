@@ -0,0 +1,27 @@
+import { verifyToken } from "@clerk/backend";
+import { config } from "../config.js";
+
+// ===================================================
+// Clerk session tokens
+// ===================================================
+// The Next.js client sends the token from Clerk's getToken(). With
+// CLERK_JWT_KEY set, tokens are verified without calling Clerk; otherwise
+// Clerk's JWKS is fetched (and cached) using CLERK_SECRET_KEY.
+export const clerkVerifier = {
+  name: "clerk",
+  label: "Clerk",
+
+  isConfigured() {
+    return Boolean(config.clerk.jwtKey || config.clerk.secretKey);
+  },
+
+  async verify(token) {
+    const payload = await verifyToken(token, {
+      jwtKey: config.clerk.jwtKey,
+      secretKey: config.clerk.secretKey,
+      // Only accept tokens minted for the origins allowed to call the API
+      authorizedParties: config.auth.corsOrigins,
+    });
+    return payload.sub;
+  },
+};
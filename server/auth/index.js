@@ -0,0 +1,91 @@
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+import { clerkVerifier } from "./clerk.js";
+import { localVerifier } from "./local.js";
+
+// ===================================================
+// Bearer token verifier registry
+// ===================================================
+// A verifier is a plain object with:
+//   name, label
+//   isConfigured()   -> whether keys/settings are present
+//   verify(token)    -> Promise<string> user ID, rejects for bad tokens
+// AUTH_VERIFIER picks the one the server uses.
+const verifiers = new Map();
+
+export function registerVerifier(verifier) {
+  verifiers.set(verifier.name, verifier);
+}
+
+[clerkVerifier, localVerifier].forEach(registerVerifier);
+
+export function getVerifier(name = config.auth.verifier) {
+  const verifier = verifiers.get(name);
+  if (!verifier) {
+    throw new HttpError(500, `Unknown auth verifier: ${name}`, {
+      available: [...verifiers.keys()],
+    });
+  }
+  if (!verifier.isConfigured()) {
+    throw new HttpError(
+      500,
+      `Auth verifier "${name}" is not configured on this server`
+    );
+  }
+  return verifier;
+}
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)\s*$/i;
+
+const unauthorized = (res, error, details) =>
+  res
+    .status(401)
+    .set("WWW-Authenticate", "Bearer")
+    .json({ error, details });
+
+/**
+ * Express middleware: verify `Authorization: Bearer <token>` and set
+ * `req.userId`. Every document, chunk and conversation is owned by the
+ * user that created it, and routes only ever show a user their own.
+ */
+export async function requireAuth(req, res, next) {
+  const token = req.headers.authorization?.match(BEARER_PATTERN)?.[1];
+  if (!token) {
+    return unauthorized(
+      res,
+      "Authentication required",
+      "Send an Authorization: Bearer <token> header"
+    );
+  }
+
+  let verifier;
+  try {
+    verifier = getVerifier();
+  } catch (error) {
+    console.error("Auth configuration error:", error.message);
+    return res
+      .status(error.status)
+      .json({ error: error.message, details: error.details });
+  }
+
+  try {
+    req.userId = await verifier.verify(token);
+  } catch (error) {
+    return unauthorized(res, "Invalid or expired token", error.message);
+  }
+  if (!req.userId) {
+    return unauthorized(res, "Token does not identify a user");
+  }
+  return next();
+}
+
+// After requireAuth: only users listed in ADMIN_USER_IDS get through
+export function requireAdmin(req, res, next) {
+  if (!config.auth.adminUserIds.includes(req.userId)) {
+    return res.status(403).json({
+      error: "Admin access required",
+      details: "Add your user ID to ADMIN_USER_IDS",
+    });
+  }
+  return next();
+}
@@ -0,0 +1,242 @@
+import { Document } from "@langchain/core/documents";
+import {
+  CharacterTextSplitter,
+  RecursiveCharacterTextSplitter,
+} from "@langchain/textsplitters";
+import { config } from "./config.js";
+import { HttpError } from "./errors.js";
+import { countTokens, splitByTokens } from "./tokens.js";
+
+// ===================================================
+// Chunking strategies used by the worker
+// ===================================================
+// A strategy is a plain object with:
+//   label, unit              -> what chunkSize and chunkOverlap count
+//   defaults                 -> { chunkSize, chunkOverlap }
+//   split(pages, params)     -> chunk Documents, keeping page metadata
+// The strategy and parameters a document was indexed with are recorded on
+// the document (`chunking`) so a re-index reproduces the same chunks.
+
+// Sentence ends, or blank lines between paragraphs and table rows
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n\s*\n/;
+
+// Pack whole sentences into chunks of up to chunkSize tokens, repeating the
+// last sentences of a chunk (up to chunkOverlap tokens) at the next one
+function packSentences(text, { chunkSize, chunkOverlap }) {
+  const sentences = text
+    .split(SENTENCE_BREAK)
+    .map((sentence) => sentence.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    // A single sentence longer than a chunk (e.g. a table) is cut by tokens
+    .flatMap((sentence) =>
+      countTokens(sentence) > chunkSize
+        ? splitByTokens(sentence, chunkSize)
+        : [sentence]
+    )
+    .map((sentence) => ({ text: sentence, tokens: countTokens(sentence) }));
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  for (const sentence of sentences) {
+    if (current.length > 0 && tokens + sentence.tokens > chunkSize) {
+      chunks.push(current.map((item) => item.text).join(" "));
+
+      const carried = [];
+      let carriedTokens = 0;
+      for (const item of current.toReversed()) {
+        if (carriedTokens + item.tokens > chunkOverlap) break;
+        carried.unshift(item);
+        carriedTokens += item.tokens;
+      }
+      // Carry less (or nothing) when the next sentence would not fit with it
+      while (
+        carried.length > 0 &&
+        carriedTokens + sentence.tokens > chunkSize
+      ) {
+        carriedTokens -= carried.shift().tokens;
+      }
+      current = carried;
+      tokens = carriedTokens;
+    }
+    current.push(sentence);
+    tokens += sentence.tokens;
+  }
+  if (current.length > 0) {
+    chunks.push(current.map((item) => item.text).join(" "));
+  }
+  return chunks;
+}
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown: "## Scope"
+  /^(?:\d+(?:\.\d+)*\.?|[IVXLC]+\.)\s+\p{Lu}/u, // "2.3 Scope", "IV. Terms"
+  /^(?:section|article|chapter|part|appendix|schedule|annex)\s+[\w.]+/i,
+];
+
+/**
+ * Whether a line of extracted PDF text looks like a heading: a numbered or
+ * keyword-led title, or a short line in capitals ("TERMINATION").
+ */
+function isHeading(line) {
+  const words = line.split(/\s+/).length;
+  if (line.length < 3 || line.length > 100 || /[,;]$/.test(line)) return false;
+
+  if (HEADING_PATTERNS.some((pattern) => pattern.test(line))) {
+    return words <= 12 && !/[a-z]\.$/.test(line);
+  }
+  return (
+    words <= 8 &&
+    /\p{Lu}{2}/u.test(line) &&
+    line === line.toUpperCase() &&
+    !/\.$/.test(line)
+  );
+}
+
+// Cut every page at its headings; the current section carries over pages
+function splitSections(pages) {
+  const sections = [];
+  let title = null;
+
+  for (const page of pages) {
+    let lines = [];
+    const flush = () => {
+      const text = lines.join("\n").trim();
+      if (text) {
+        sections.push(
+          new Document({
+            pageContent: text,
+            // Loaders that already know the section (Markdown, HTML, DOCX)
+            // keep it until a heading is found in the text itself
+            metadata: {
+              ...page.metadata,
+              section: title ?? page.metadata.section ?? null,
+            },
+          })
+        );
+      }
+      lines = [];
+    };
+
+    for (const line of page.pageContent.split("\n")) {
+      if (isHeading(line.trim())) {
+        flush();
+        title = line.trim().replace(/^#+\s*/, "");
+      }
+      lines.push(line);
+    }
+    flush();
+  }
+  return sections;
+}
+
+export const CHUNK_STRATEGIES = {
+  // The original splitter: breaks on blank lines only
+  character: {
+    label: "Character",
+    unit: "characters",
+    defaults: { chunkSize: 1000, chunkOverlap: 200 },
+    split: (pages, params) =>
+      new CharacterTextSplitter(params).splitDocuments(pages),
+  },
+
+  // Paragraphs, then lines, then sentences, then words
+  recursive: {
+    label: "Recursive character",
+    unit: "characters",
+    defaults: { chunkSize: 1000, chunkOverlap: 200 },
+    split: (pages, params) =>
+      new RecursiveCharacterTextSplitter(params).splitDocuments(pages),
+  },
+
+  // Whole sentences packed up to a token count
+  sentence: {
+    label: "Sentence (token-sized)",
+    unit: "tokens",
+    defaults: { chunkSize: 256, chunkOverlap: 32 },
+    split: async (pages, params) =>
+      pages.flatMap((page) =>
+        packSentences(page.pageContent, params).map(
+          (text) =>
+            new Document({ pageContent: text, metadata: { ...page.metadata } })
+        )
+      ),
+  },
+
+  // One section per chunk where it fits; metadata.section holds its title
+  heading: {
+    label: "Section-aware",
+    unit: "characters",
+    defaults: { chunkSize: 1500, chunkOverlap: 150 },
+    split: (pages, params) =>
+      new RecursiveCharacterTextSplitter(params).splitDocuments(
+        splitSections(pages)
+      ),
+  },
+};
+
+/**
+ * Complete and validate chunking settings. Missing values fall back to
+ * CHUNK_STRATEGY, then CHUNK_SIZE / CHUNK_OVERLAP (which only apply to that
+ * configured strategy), then the strategy's own defaults. Throws a 400
+ * HttpError for settings no splitter can use.
+ */
+export function resolveChunking({ strategy, chunkSize, chunkOverlap } = {}) {
+  const name = strategy || config.chunking.strategy;
+  const chosen = CHUNK_STRATEGIES[name];
+  if (!chosen) {
+    throw new HttpError(400, `Unknown chunking strategy: ${name}`, {
+      available: Object.keys(CHUNK_STRATEGIES),
+    });
+  }
+
+  const defaults =
+    name === config.chunking.strategy
+      ? {
+          chunkSize: config.chunking.chunkSize ?? chosen.defaults.chunkSize,
+          chunkOverlap:
+            config.chunking.chunkOverlap ?? chosen.defaults.chunkOverlap,
+        }
+      : chosen.defaults;
+  const params = {
+    chunkSize: Number(chunkSize ?? defaults.chunkSize),
+    chunkOverlap: Number(chunkOverlap ?? defaults.chunkOverlap),
+  };
+  if (
+    !Number.isInteger(params.chunkSize) ||
+    !Number.isInteger(params.chunkOverlap) ||
+    params.chunkSize < 1 ||
+    params.chunkOverlap < 0 ||
+    params.chunkOverlap >= params.chunkSize
+  ) {
+    throw new HttpError(
+      400,
+      "Invalid chunk size or overlap",
+      `chunkSize must be a positive integer (in ${chosen.unit}) and chunkOverlap a smaller non-negative integer`
+    );
+  }
+
+  return { strategy: name, unit: chosen.unit, ...params };
+}
+
+// Empty form fields count as "not given"
+const given = (value) => (value === "" || value === null ? undefined : value);
+
+// Whether an upload or re-index asks for specific chunking settings
+export const hasChunkingOptions = (fields = {}) =>
+  [fields.chunkStrategy, fields.chunkSize, fields.chunkOverlap].some(
+    (value) => given(value) !== undefined
+  );
+
+// Chunking settings sent with an upload or re-index (form fields or JSON)
+export const parseChunkingOptions = (fields = {}) =>
+  resolveChunking({
+    strategy: given(fields.chunkStrategy),
+    chunkSize: given(fields.chunkSize),
+    chunkOverlap: given(fields.chunkOverlap),
+  });
+
+// Split loaded pages into chunks with resolved settings
+export function splitDocuments(pages, { strategy, chunkSize, chunkOverlap }) {
+  return CHUNK_STRATEGIES[strategy].split(pages, { chunkSize, chunkOverlap });
+}
@@ -0,0 +1,432 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { HttpError } from "./errors.js";
+import { detectFileType } from "./loaders/index.js";
+import { listDocuments, getDocument, findDocument } from "./documents.js";
+import {
+  ingestUpload,
+  removeDocument,
+  storedFilename,
+  fileTooLarge,
+  isIndexing,
+} from "./ingest.js";
+import { waitForIngestion } from "./queue.js";
+import { sanitizeFilename } from "./validation.js";
+import { config } from "./config.js";
+import { resolveLLM, generate } from "./providers/index.js";
+import {
+  prepareAnswer,
+  parseDocumentIds,
+  parseRetrievalOptions,
+} from "./rag.js";
+import { cacheAnswer, describeCacheUse } from "./answercache.js";
+import { resolvePrompt } from "./prompts/index.js";
+
+// ===================================================
+// Command-line tool: bulk ingestion, documents and questions
+// ===================================================
+// Works on Valkey, Qdrant and the ingestion queue directly (no API server
+// or token needed), with the same rules as the API: files are validated,
+// deduplicated and versioned like uploads, and questions are answered like
+// /chat requests. Documents belong to the user given with --owner.
+// Run it from server/ (npm run cli -- ...); ingestion needs a running worker.
+const USAGE = `Usage:
+  npm run cli -- ingest <file|directory>... --owner <userId> [options]
+  npm run cli -- list [--owner <userId>]
+  npm run cli -- delete <documentId>... [--owner <userId>]
+  npm run cli -- ask "<question>" --owner <userId> [options]
+
+Options:
+  --json                            print one JSON document, logs go to stderr
+  --owner <userId>                  the user the documents belong to
+ingest:
+  --chunk-strategy, --chunk-size, --chunk-overlap
+                                    chunking, as for /upload
+  --no-wait                         queue the files without waiting
+ask:
+  --documents <id>,<id>             only search these documents
+  --provider, --model               LLM that answers
+  --k, --dense-weight, --keyword-weight, --rerank, --rerank-candidates,
+  --token-budget                    retrieval, as for /chat
+  --prompt <name>, --language <language>
+                                    prompt template and answer language
+  --no-cache                        skip the answer cache`;
+
+// A bulk ingestion may take a while; one file may take up to this long
+const INGEST_TIMEOUT_MS = 60 * 60 * 1000;
+
+const OPTIONS = {
+  json: { type: "boolean", default: false },
+  owner: { type: "string" },
+  "chunk-strategy": { type: "string" },
+  "chunk-size": { type: "string" },
+  "chunk-overlap": { type: "string" },
+  "no-wait": { type: "boolean", default: false },
+  documents: { type: "string" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  k: { type: "string" },
+  "dense-weight": { type: "string" },
+  "keyword-weight": { type: "string" },
+  rerank: { type: "string" },
+  "rerank-candidates": { type: "string" },
+  "token-budget": { type: "string" },
+  prompt: { type: "string" },
+  language: { type: "string" },
+  "no-cache": { type: "boolean", default: false },
+};
+
+class UsageError extends Error {}
+
+function requireOwner(options) {
+  if (!options.owner) throw new UsageError("--owner <userId> is required");
+  return options.owner;
+}
+
+// The document filename of `file`: its path below the directory being
+// ingested, "guides/README.md" as "guides_README.md", so files of the same
+// name in different folders are different documents (not versions)
+const documentFilename = (file, root) =>
+  sanitizeFilename(
+    (path.relative(root, file) || path.basename(file)).split(path.sep).join("_")
+  );
+
+// Files under `target` with their document filenames, depth first in name
+// order; hidden entries skipped
+async function collectFiles(target, root = target) {
+  const named = (file) => ({ file, name: documentFilename(file, root) });
+  const stat = await fs.stat(target);
+  if (stat.isFile()) return [named(target)];
+
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith(".")) continue;
+    const child = path.join(target, entry.name);
+    if (entry.isDirectory()) files.push(...(await collectFiles(child, root)));
+    else if (entry.isFile()) files.push(named(child));
+  }
+  return files;
+}
+
+// Copy one file under uploads/ and register it like an upload named `name`.
+// Ingesting a tree again updates it: a file whose name already is one of
+// the owner's documents is uploaded as that document's next version.
+async function ingestFile({ file, name: originalname }, owner, fields) {
+  const { size } = await fs.stat(file);
+  // Refused before copying anything
+  if (size > config.upload.maxFileSizeMb * 1024 * 1024) throw fileTooLarge();
+  const previous = await findDocument(
+    owner,
+    (document) => document.filename === originalname
+  );
+
+  const stored = path.join("uploads", storedFilename(originalname));
+  await fs.mkdir("uploads", { recursive: true });
+  await fs.copyFile(file, stored);
+  try {
+    return await ingestUpload({ path: stored, size, originalname }, owner, {
+      ...fields,
+      documentId: previous?.id,
+    });
+  } catch (error) {
+    await fs.rm(stored, { force: true });
+    throw error;
+  }
+}
+
+//==================================================
+// ingest: queue every supported file, then wait for the worker
+//==================================================
+async function ingest(targets, options) {
+  const owner = requireOwner(options);
+  if (targets.length === 0) throw new UsageError("Nothing to ingest");
+  const fields = {
+    chunkStrategy: options["chunk-strategy"],
+    chunkSize: options["chunk-size"],
+    chunkOverlap: options["chunk-overlap"],
+  };
+
+  const found = (await Promise.all(targets.map(collectFiles))).flat();
+  const files = found.filter(({ name }) =>
+    detectFileType({ originalname: name })
+  );
+  console.log(
+    `📂 ${files.length} supported file(s) found, ${found.length - files.length} skipped`
+  );
+
+  const results = [];
+  // Document filename -> the file of this run that has it
+  const claimed = new Map();
+  for (const entry of files) {
+    const { file, name } = entry;
+    // Two files named alike (e.g. "a/b_c.md" and "a_b/c.md") would be one
+    // document, the second replacing the first: only the first is ingested
+    if (claimed.has(name)) {
+      results.push({
+        file,
+        filename: name,
+        outcome: "rejected",
+        status: "rejected",
+        error: `Same document name as ${claimed.get(name)}`,
+        code: "name_collision",
+      });
+      console.log(
+        `🚫 ${file}: same document name (${name}) as ${claimed.get(name)}`
+      );
+      continue;
+    }
+    claimed.set(name, file);
+
+    try {
+      const { outcome, document, jobId } = await ingestFile(
+        entry,
+        owner,
+        fields
+      );
+      // Duplicates only need waiting for if they are still being indexed
+      const pending = outcome !== "duplicate" || isIndexing(document);
+      results.push({
+        file,
+        filename: name,
+        outcome,
+        documentId: document.id,
+        jobId: pending ? jobId : null,
+        status: pending ? "queued" : document.status,
+      });
+      console.log(`📥 ${file}: ${outcome}`);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      results.push({
+        file,
+        filename: name,
+        outcome: "rejected",
+        status: "rejected",
+        error: error.message,
+        code: error.details?.code ?? null,
+      });
+      console.log(`🚫 ${file}: ${error.message}`);
+    }
+  }
+
+  const pending = results.filter((result) => result.jobId);
+  if (pending.length > 0 && !options["no-wait"]) {
+    console.log(
+      `⏳ Waiting for the worker to index ${pending.length} file(s)...`
+    );
+    const byJob = new Map(pending.map((result) => [result.jobId, result]));
+    await waitForIngestion([...byJob.keys()], {
+      timeoutMs: INGEST_TIMEOUT_MS,
+      onSettled: ({ jobId, result, error }) => {
+        const entry = byJob.get(jobId);
+        if (error) {
+          Object.assign(entry, { status: "failed", error });
+          console.log(`❌ ${entry.file}: ${error}`);
+        } else {
+          Object.assign(entry, { status: "ready", chunks: result.chunks });
+          console.log(`✅ ${entry.file}: ${result.chunks} chunks`);
+        }
+      },
+    });
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const summary = {
+    files: results.length,
+    skipped: found.length - files.length,
+    ready: count("ready"),
+    queued: count("queued"),
+    failed: count("failed"),
+    rejected: count("rejected"),
+  };
+  return {
+    result: { summary, files: results },
+    text: Object.entries(summary)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(", "),
+    ok: summary.failed === 0 && summary.rejected === 0,
+  };
+}
+
+//==================================================
+// list: documents of one owner, or of everyone
+//==================================================
+async function list(_, options) {
+  const documents = await listDocuments(options.owner);
+  const lines = documents.map((document) =>
+    [
+      document.id,
+      document.status.padEnd(10),
+      String(document.chunkCount ?? "-").padStart(6),
+      // Everyone's documents: say whose each one is
+      ...(options.owner ? [] : [document.ownerId ?? "-"]),
+      document.filename,
+    ].join("  ")
+  );
+  return {
+    result: { documents },
+    text: lines.length > 0 ? lines.join("\n") : "No documents",
+    ok: true,
+  };
+}
+
+//==================================================
+// delete: chunks, file and record of each document
+//==================================================
+async function remove(ids, options) {
+  if (ids.length === 0) throw new UsageError("Name the documents to delete");
+
+  const results = [];
+  for (const id of ids) {
+    const document = await getDocument(id, options.owner);
+    if (!document) {
+      results.push({
+        documentId: id,
+        deleted: false,
+        error: "Document not found",
+      });
+      continue;
+    }
+    if (isIndexing(document)) {
+      results.push({
+        documentId: id,
+        deleted: false,
+        error: `${document.filename} is still being indexed`,
+      });
+      continue;
+    }
+    await removeDocument(document);
+    results.push({
+      documentId: id,
+      deleted: true,
+      filename: document.filename,
+    });
+  }
+
+  return {
+    result: { documents: results },
+    text: results
+      .map((result) =>
+        result.deleted
+          ? `🗑️ ${result.documentId} (${result.filename})`
+          : `❌ ${result.documentId}: ${result.error}`
+      )
+      .join("\n"),
+    ok: results.every((result) => result.deleted),
+  };
+}
+
+//==================================================
+// ask: one question, answered like GET /chat
+//==================================================
+async function ask(words, options) {
+  const owner = requireOwner(options);
+  const question = words.join(" ").trim();
+  if (!question) throw new UsageError("Ask a question");
+
+  const resolved = resolveLLM({
+    provider: options.provider,
+    model: options.model,
+  });
+  const { retrievalQuery, sources, rerank, context, prompt, messages, cache } =
+    await prepareAnswer({
+      question,
+      resolved,
+      ownerId: owner,
+      documentIds: parseDocumentIds({ documentIds: options.documents }),
+      retrieval: parseRetrievalOptions({
+        k: options.k,
+        denseWeight: options["dense-weight"],
+        keywordWeight: options["keyword-weight"],
+        rerank: options.rerank,
+        rerankCandidates: options["rerank-candidates"],
+        tokenBudget: options["token-budget"],
+      }),
+      prompt: resolvePrompt({
+        name: options.prompt,
+        language: options.language,
+      }),
+      useCache: !options["no-cache"],
+    });
+
+  let answer;
+  if (cache?.hit) {
+    answer = cache.hit.answer;
+  } else {
+    answer = await generate(resolved, messages);
+    await cacheAnswer(cache, { question, answer, sources, rerank });
+  }
+
+  const sourceLines = sources.map(
+    (source) =>
+      `  [${source.id}] ${source.documentName}${
+        source.location ? `, ${source.location}` : ""
+      } (score ${source.score?.toFixed(2) ?? "n/a"})`
+  );
+  return {
+    result: {
+      question,
+      answer,
+      retrievalQuery,
+      provider: resolved.provider.name,
+      model: resolved.model,
+      prompt,
+      sources,
+      rerank,
+      context,
+      ...describeCacheUse(cache),
+    },
+    text: `${answer}\n\nSources:\n${sourceLines.join("\n") || "  none"}`,
+    ok: true,
+  };
+}
+
+const COMMANDS = { ingest, list, delete: remove, ask };
+
+// Unknown options and missing values are usage errors too
+function parseCommandLine() {
+  try {
+    return parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    if (error.code?.startsWith("ERR_PARSE_ARGS")) {
+      throw new UsageError(error.message);
+    }
+    throw error;
+  }
+}
+
+async function main() {
+  const { positionals, values } = parseCommandLine();
+  const [name, ...args] = positionals;
+  // Keep stdout for the JSON document; progress goes to stderr
+  if (values.json) console.log = console.error;
+
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(name ? `Unknown command: ${name}` : "");
+
+  const { result, text, ok } = await command(args, values);
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${text}\n`);
+  }
+  return ok ? 0 : 1;
+}
+
+// Open queue and Valkey connections would keep the process alive
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      if (error.message) console.error(`🚨 ${error.message}`);
+      console.error(USAGE);
+      process.exit(2);
+    }
+    console.error(`🚨 ${error.message}`);
+    if (error instanceof HttpError && error.details) {
+      console.error(error.details);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,180 @@
+import dotenv from "dotenv";
+// Quiet: cli.js --json output must be nothing but JSON
+dotenv.config({ quiet: true });
+
+// ===================================================
+// Shared configuration for the API server and worker
+// ===================================================
+// Every setting can be overridden through the environment (or .env file).
+
+const list = (value, fallback) =>
+  (value || fallback)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const config = {
+  port: Number(process.env.PORT) || 8000,
+
+  auth: {
+    // Bearer token verifier: clerk | local (development stub, see auth/local.js)
+    verifier: process.env.AUTH_VERIFIER || "clerk",
+    // Browser origins allowed to call the API (CORS and Clerk's azp claim)
+    corsOrigins: list(process.env.CORS_ORIGINS, "http://localhost:3000"),
+    // Users allowed to use /admin (Clerk user IDs, or local stub IDs)
+    adminUserIds: list(process.env.ADMIN_USER_IDS, ""),
+  },
+
+  clerk: {
+    secretKey: process.env.CLERK_SECRET_KEY,
+    // PEM public key: verify tokens without fetching Clerk's JWKS
+    jwtKey: process.env.CLERK_JWT_KEY,
+  },
+
+  redis: {
+    host: process.env.REDIS_HOST || "localhost",
+    port: process.env.REDIS_PORT || "6379",
+  },
+
+  qdrant: {
+    url: process.env.QDRANT_URL || "http://localhost:6333",
+    collectionName: process.env.QDRANT_COLLECTION || "langchainjs-testing",
+  },
+
+  llm: {
+    // Provider and model used when a request does not pick one itself
+    provider: process.env.LLM_PROVIDER || "gemini",
+    model: process.env.LLM_MODEL || undefined,
+    temperature: Number(process.env.LLM_TEMPERATURE ?? 0.7),
+    maxOutputTokens: Number(process.env.LLM_MAX_OUTPUT_TOKENS) || 2048,
+    // Providers that may be selected at all (configured or not)
+    enabledProviders: list(
+      process.env.LLM_PROVIDERS,
+      "gemini,huggingface,ollama,local"
+    ),
+  },
+
+  embeddings: {
+    // Must stay the same between ingestion and querying of a collection
+    provider: process.env.EMBEDDINGS_PROVIDER || "gemini",
+    model: process.env.EMBEDDINGS_MODEL || undefined,
+    // Cache vectors in Valkey by (backend, model, text); 0 days keeps them
+    cache: process.env.EMBEDDINGS_CACHE !== "false",
+    cacheTtlDays: Number(process.env.EMBEDDINGS_CACHE_TTL_DAYS ?? 30),
+  },
+
+  ingestion: {
+    // Jobs each worker process runs at once
+    concurrency: Number(process.env.INGEST_CONCURRENCY) || 5,
+    // Tries per job; only rate-limit and quota errors are retried, each
+    // retry waiting twice as long as the one before
+    attempts: Number(process.env.INGEST_ATTEMPTS) || 5,
+    backoffMs: Number(process.env.INGEST_BACKOFF_MS) || 10000,
+    // Chunks embedded per request
+    embedBatchSize: Number(process.env.EMBED_BATCH_SIZE) || 32,
+    // Chunks all workers together may embed per minute (0 = no limit),
+    // and how many may go out at once after a quiet spell
+    embedRatePerMinute: Number(process.env.EMBED_RATE_PER_MINUTE ?? 1500),
+    embedBurst: Number(process.env.EMBED_BURST) || 100,
+  },
+
+  upload: {
+    // Larger files are refused while they are still being received
+    maxFileSizeMb: Number(process.env.UPLOAD_MAX_FILE_MB) || 10,
+    // PDFs with more pages are refused before they are queued
+    maxPages: Number(process.env.UPLOAD_MAX_PAGES) || 500,
+  },
+
+  ocr: {
+    // Run tesseract on PDF pages without a usable text layer
+    enabled: process.env.OCR_ENABLED !== "false",
+    // Pages with fewer non-whitespace characters are OCR'd
+    minChars: Number(process.env.OCR_MIN_CHARS) || 20,
+    // Tesseract language code(s), e.g. "eng+deu"; only English data ships
+    // with the server, point OCR_LANG_PATH at a folder with other
+    // <lang>.traineddata.gz files
+    language: process.env.OCR_LANGUAGE || "eng",
+    langPath: process.env.OCR_LANG_PATH || undefined,
+    // Render scale over 72 DPI; 2 renders pages at 144 DPI
+    scale: Number(process.env.OCR_SCALE) || 2,
+  },
+
+  chunking: {
+    // Default splitter for uploads: character | recursive | sentence | heading
+    strategy: process.env.CHUNK_STRATEGY || "recursive",
+    // Size and overlap for that strategy (its own defaults if empty)
+    chunkSize: process.env.CHUNK_SIZE
+      ? Number(process.env.CHUNK_SIZE)
+      : undefined,
+    chunkOverlap: process.env.CHUNK_OVERLAP
+      ? Number(process.env.CHUNK_OVERLAP)
+      : undefined,
+  },
+
+  retrieval: {
+    // Defaults for hybrid search; each can be overridden per /chat request
+    k: Number(process.env.RETRIEVAL_K) || 3,
+    denseWeight: Number(process.env.RETRIEVAL_DENSE_WEIGHT ?? 1),
+    keywordWeight: Number(process.env.RETRIEVAL_KEYWORD_WEIGHT ?? 1),
+    // Reciprocal rank fusion constant: higher values flatten rank differences
+    rrfK: Number(process.env.RETRIEVAL_RRF_K) || 60,
+  },
+
+  rerank: {
+    // Optional second pass over retrieved chunks: none | local | huggingface | llm
+    reranker: process.env.RERANKER || "none",
+    model: process.env.RERANK_MODEL || undefined,
+    // Chunks retrieved for the reranker to choose from
+    candidates: Number(process.env.RERANK_CANDIDATES) || 20,
+    // Tokens of context the kept chunks may add up to
+    tokenBudget: Number(process.env.RERANK_TOKEN_BUDGET) || 1500,
+  },
+
+  context: {
+    // Tokens of retrieved context a prompt may carry at most, however large
+    // the model's window (0: only the window limits it)
+    maxTokens: Number(process.env.CONTEXT_MAX_TOKENS ?? 8000),
+    // Share of the model's window left unused, since token counts of
+    // models without a tokenizer of their own are estimates
+    safetyMargin: Number(process.env.CONTEXT_SAFETY_MARGIN ?? 0.1),
+  },
+
+  chat: {
+    // Previous messages (user + assistant) sent along with a follow-up
+    historyMessages: Number(process.env.CHAT_HISTORY_MESSAGES) || 6,
+    conversationTtlDays: Number(process.env.CONVERSATION_TTL_DAYS) || 30,
+  },
+
+  prompts: {
+    // Template used when a request does not pick one (see prompts/)
+    template: process.env.PROMPT_TEMPLATE || "default",
+    // JSON file with more templates, or replacements for built-in ones
+    file: process.env.PROMPT_TEMPLATES_FILE || undefined,
+    // What answers are written in unless a request says otherwise
+    language: process.env.PROMPT_LANGUAGE || "the language of the question",
+  },
+
+  answerCache: {
+    // Reuse the answer to a near-identical first question over the same
+    // documents instead of retrieving and generating again
+    enabled: process.env.ANSWER_CACHE === "true",
+    // Cosine similarity of the two question embeddings needed for a hit
+    threshold: Number(process.env.ANSWER_CACHE_THRESHOLD) || 0.95,
+    ttlHours: Number(process.env.ANSWER_CACHE_TTL_HOURS) || 24,
+    // Answers kept per document set, model and retrieval options
+    maxEntries: Number(process.env.ANSWER_CACHE_MAX_ENTRIES) || 50,
+  },
+
+  google: {
+    apiKey: process.env.GOOGLE_API_KEY,
+  },
+
+  huggingface: {
+    apiKey: process.env.HUGGINGFACE_API_KEY,
+  },
+
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+    numCtx: Number(process.env.OLLAMA_NUM_CTX) || 4096,
+  },
+};
@@ -0,0 +1,248 @@
+import { basename } from "node:path";
+import { config } from "./config.js";
+import { DEFAULT_ENCODING, countTokens, truncateToTokens } from "./tokens.js";
+import { renderPrompt } from "./prompts/index.js";
+import { answerTokens } from "./providers/index.js";
+
+// ===================================================
+// Context assembly
+// ===================================================
+// Fits the retrieved chunks (best first) into the prompt of the model that
+// answers:
+//   1. chunks of the same page and section that sit next to each other in
+//      the file become one source, without the text they overlap on
+//   2. sources are kept in rank order while they fit the budget: the
+//      model's context window less its answer and the rest of the prompt,
+//      and never more than CONTEXT_MAX_TOKENS
+//   3. a source that does not fit is cut to the tokens left if enough are
+//      left to be useful, and dropped otherwise (shorter ones ranked below
+//      it may still fit)
+// Sources are numbered only once this is done, so [n] in the prompt is
+// always source n of the response.
+
+const SEPARATOR = "\n\n---\n\n";
+// With fewer tokens left, a source is dropped rather than cut
+const MIN_TRIMMED_TOKENS = 50;
+// Text the end of one chunk must share with the start of the next for the
+// two to count as neighbours when their lines are not known
+const MIN_OVERLAP_CHARS = 20;
+// Roughly what chat formats add around each message
+const TOKENS_PER_MESSAGE = 4;
+
+export const documentName = (metadata) =>
+  metadata.filename ??
+  (metadata.source ? basename(metadata.source) : "Unknown document");
+
+const range = (label, { from, to }) =>
+  from === to ? `${label} ${from}` : `${label}s ${from}-${to}`;
+
+/**
+ * Where a chunk sits in its file, e.g. "page 4, section: 3. Termination"
+ * for a PDF, "rows 10-24" for a CSV or "lines 30-52" for plain text.
+ * Line numbers are only meaningful when nothing better is known.
+ */
+export function describeLocation(metadata) {
+  const { loc = {}, section } = metadata;
+  const parts = [];
+  if (loc.pageNumber) parts.push(`page ${loc.pageNumber}`);
+  if (loc.rows) parts.push(range("row", loc.rows));
+  if (section) parts.push(`section: ${section}`);
+  if (parts.length === 0 && loc.lines) parts.push(range("line", loc.lines));
+  return parts.join(", ") || null;
+}
+
+// Heading used for source [n] in the prompt, e.g.
+// "[2] report.pdf, page 4, section: 3. Termination"
+const sourceHeading = (doc, index) => {
+  const location = describeLocation(doc.metadata);
+  return `[${index + 1}] ${documentName(doc.metadata)}${
+    location ? `, ${location}` : ""
+  }`;
+};
+
+// The numbered context the prompt templates get as {{context}}
+export const formatContext = (docs) =>
+  docs
+    .map((doc, index) => `${sourceHeading(doc, index)}\n${doc.pageContent}`)
+    .join(SEPARATOR);
+
+// Characters the end of `first` shares with the start of `second`
+function overlapLength(first, second) {
+  const seed = second.slice(0, MIN_OVERLAP_CHARS);
+  if (seed.length < MIN_OVERLAP_CHARS) return 0;
+
+  for (
+    let position = first.indexOf(seed);
+    position !== -1;
+    position = first.indexOf(seed, position + 1)
+  ) {
+    if (second.startsWith(first.slice(position))) {
+      return first.length - position;
+    }
+  }
+  return 0;
+}
+
+const samePlace = ({ metadata: a }, { metadata: b }) =>
+  a.documentId !== undefined &&
+  a.documentId === b.documentId &&
+  (a.loc?.pageNumber ?? null) === (b.loc?.pageNumber ?? null) &&
+  (a.section ?? null) === (b.section ?? null);
+
+// Whether `second` carries on where `first` ends in the file
+function continues(first, second) {
+  const [a, b] = [first.metadata.loc?.lines, second.metadata.loc?.lines];
+  if (a && b) return a.from <= b.from && b.from <= a.to + 1;
+  return overlapLength(first.pageContent, second.pageContent) > 0;
+}
+
+function joinText(first, second) {
+  if (first.includes(second)) return first;
+  const overlap = overlapLength(first, second);
+  return overlap > 0 ? first + second.slice(overlap) : `${first}\n${second}`;
+}
+
+// One source from two neighbouring chunks, scored like the better one
+function merge(first, second) {
+  const [a, b] = [first.metadata.loc?.lines, second.metadata.loc?.lines];
+  const best = (field) => {
+    const scores = [first[field], second[field]].filter(
+      (score) => score !== null && score !== undefined
+    );
+    return scores.length > 0 ? Math.max(...scores) : null;
+  };
+
+  return {
+    pageContent: joinText(first.pageContent, second.pageContent),
+    metadata: {
+      ...first.metadata,
+      loc: {
+        ...first.metadata.loc,
+        ...(a &&
+          b && {
+            lines: { from: a.from, to: Math.max(a.to, b.to) },
+          }),
+      },
+    },
+    score: best("score"),
+    denseScore: best("denseScore"),
+    keywordScore: best("keywordScore"),
+    rerankScore: best("rerankScore"),
+    mergedChunks: (first.mergedChunks ?? 1) + (second.mergedChunks ?? 1),
+  };
+}
+
+// Merge neighbouring chunks into the better ranked one, keeping rank order
+export function mergeAdjacent(docs) {
+  const merged = [];
+  for (const doc of docs) {
+    const index = merged.findIndex(
+      (kept) =>
+        samePlace(kept, doc) && (continues(kept, doc) || continues(doc, kept))
+    );
+    if (index === -1) {
+      merged.push(doc);
+      continue;
+    }
+    const kept = merged[index];
+    merged[index] = continues(kept, doc) ? merge(kept, doc) : merge(doc, kept);
+  }
+  return merged;
+}
+
+// Cut to `size` tokens, back to the last full sentence if that keeps most
+function trimText(text, size, encoding) {
+  const cut = truncateToTokens(text, size, encoding).replace(/\uFFFD+$/, "");
+  const sentenceEnd = cut.search(/[.!?]\s+[^.!?]*$/);
+  return sentenceEnd >= cut.length / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+}
+
+/**
+ * Tokens the context may use in the prompt for `question`: the model's
+ * window, less what is reserved for the answer (at most a quarter of the
+ * window), less CONTEXT_SAFETY_MARGIN of it, less the rest of the prompt;
+ * and at most CONTEXT_MAX_TOKENS. Infinity when nothing limits it.
+ */
+export function contextBudget({ resolved, prompt, question, history }, count) {
+  const { provider, model } = resolved;
+  const window = provider.contextWindow?.(model) ?? null;
+  const limit = config.context.maxTokens || Infinity;
+  if (!window) return { window, budget: limit };
+
+  const answer = answerTokens(provider, model);
+  const rest = renderPrompt(prompt, { context: "", question, history }).reduce(
+    (sum, message) => sum + count(message.content) + TOKENS_PER_MESSAGE,
+    0
+  );
+  const usable =
+    Math.floor((window - answer) * (1 - config.context.safetyMargin)) - rest;
+  return { window, budget: Math.max(Math.min(usable, limit), 0) };
+}
+
+/**
+ * Fit retrieved `docs` (best first) into the prompt the resolved LLM gets
+ * for `question`, with `prompt` and `history` as prepareAnswer has them.
+ * Returns the documents to number and cite, merged and cut where needed,
+ * and a report of what happened:
+ *   { tokenizer, contextWindow, budget, tokens, retrieved, merged,
+ *     trimmed: [source ids], dropped: [{ documentId, documentName,
+ *     location, tokens, score }] }
+ * `budget` is null when nothing limits the context.
+ */
+export function assembleContext(docs, options) {
+  const { provider, model } = options.resolved;
+  const encoding = provider.tokenizer?.(model) ?? DEFAULT_ENCODING;
+  const count = (text) => countTokens(text, encoding);
+  const { window, budget } = contextBudget(options, count);
+
+  const candidates = mergeAdjacent(docs);
+  const kept = [];
+  const dropped = [];
+  let used = 0;
+  for (const doc of candidates) {
+    const overhead =
+      count(`${sourceHeading(doc, kept.length)}\n`) +
+      (kept.length > 0 ? count(SEPARATOR) : 0);
+    const cost = overhead + count(doc.pageContent);
+    const left = budget - used;
+
+    if (cost <= left) {
+      kept.push(doc);
+      used += cost;
+    } else if (left - overhead >= MIN_TRIMMED_TOKENS) {
+      const text = trimText(doc.pageContent, left - overhead, encoding);
+      kept.push({ ...doc, pageContent: text, trimmed: true });
+      used += overhead + count(text);
+    } else {
+      dropped.push(doc);
+    }
+  }
+
+  const report = {
+    tokenizer: encoding,
+    contextWindow: window,
+    budget: Number.isFinite(budget) ? budget : null,
+    tokens: count(formatContext(kept)),
+    retrieved: docs.length,
+    merged: docs.length - candidates.length,
+    trimmed: kept.flatMap((doc, index) => (doc.trimmed ? [index + 1] : [])),
+    dropped: dropped.map((doc) => ({
+      documentId: doc.metadata.documentId ?? null,
+      documentName: documentName(doc.metadata),
+      location: describeLocation(doc.metadata),
+      tokens: count(doc.pageContent),
+      score: doc.score ?? null,
+    })),
+  };
+
+  if (docs.length > 0 && budget === 0) {
+    console.warn(
+      `⚠️ The prompt leaves no room for context in ${model}'s ${window}-token window`
+    );
+  } else if (report.merged || report.trimmed.length || dropped.length) {
+    console.log(
+      `📐 Context: ${kept.length} sources from ${docs.length} chunks, ${report.tokens}/${report.budget ?? "∞"} tokens (${report.merged} merged, ${report.trimmed.length} cut, ${dropped.length} dropped)`
+    );
+  }
+  return { docs: kept, report };
+}
@@ -0,0 +1,119 @@
+import { randomUUID } from "node:crypto";
+import { redis } from "./redis.js";
+import { config } from "./config.js";
+
+// ===================================================
+// Conversation history (Valkey)
+// ===================================================
+// rag:conversations:<ownerId>     sorted set of one owner's IDs by last activity
+// rag:conversation:<id>           JSON { id, ownerId, title, createdAt, updatedAt }
+// rag:conversation:<id>:messages  list of JSON { role, content, timestamp, ... }
+// (rag:conversations, the index of everyone's, is only read once to move
+// older conversations to their owner's index)
+const LEGACY_INDEX_KEY = "rag:conversations";
+const indexKey = (ownerId) => `rag:conversations:${ownerId}`;
+const conversationKey = (id) => `rag:conversation:${id}`;
+const messagesKey = (id) => `rag:conversation:${id}:messages`;
+
+const ttlSeconds = () => config.chat.conversationTtlDays * 24 * 60 * 60;
+
+export async function createConversation({ title, ownerId }) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: randomUUID(),
+    ownerId,
+    // The first question doubles as the title
+    title: title.slice(0, 80),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await redis
+    .multi()
+    .set(
+      conversationKey(conversation.id),
+      JSON.stringify(conversation),
+      "EX",
+      ttlSeconds()
+    )
+    .zadd(indexKey(ownerId), Date.now(), conversation.id)
+    .expire(indexKey(ownerId), ttlSeconds())
+    .exec();
+  return conversation;
+}
+
+// With `ownerId`, another user's conversation reads as missing
+export async function getConversation(id, ownerId) {
+  const raw = await redis.get(conversationKey(id));
+  const conversation = raw ? JSON.parse(raw) : null;
+  if (
+    conversation &&
+    ownerId !== undefined &&
+    conversation.ownerId !== ownerId
+  ) {
+    return null;
+  }
+  return conversation;
+}
+
+// The last `limit` messages, oldest first
+export async function getMessages(id, limit) {
+  const raw = await redis.lrange(messagesKey(id), limit ? -limit : 0, -1);
+  return raw.map((message) => JSON.parse(message));
+}
+
+export async function appendMessages(id, messages) {
+  const conversation = await getConversation(id);
+  if (!conversation) return null;
+
+  conversation.updatedAt = new Date().toISOString();
+  await redis
+    .multi()
+    .rpush(
+      messagesKey(id),
+      ...messages.map((message) => JSON.stringify(message))
+    )
+    .set(conversationKey(id), JSON.stringify(conversation), "EX", ttlSeconds())
+    .expire(messagesKey(id), ttlSeconds())
+    .zadd(indexKey(conversation.ownerId), Date.now(), id)
+    .expire(indexKey(conversation.ownerId), ttlSeconds())
+    .exec();
+  return conversation;
+}
+
+// The conversations of `ownerId`, most recently active first; entries
+// whose keys expired are pruned
+export async function listConversations(ownerId) {
+  const ids = await redis.zrevrange(indexKey(ownerId), 0, -1);
+  if (ids.length === 0) return [];
+
+  const records = await redis.mget(ids.map(conversationKey));
+  const expired = ids.filter((_, index) => !records[index]);
+  if (expired.length > 0) await redis.zrem(indexKey(ownerId), ...expired);
+
+  return records.filter(Boolean).map((raw) => JSON.parse(raw));
+}
+
+export async function deleteConversation(id) {
+  const conversation = await getConversation(id);
+  const transaction = redis.multi().del(conversationKey(id), messagesKey(id));
+  if (conversation) transaction.zrem(indexKey(conversation.ownerId), id);
+  await transaction.exec();
+}
+
+// Move conversations of the index of everyone's (from before owners had
+// their own) to their owner's index; run at startup
+export async function indexConversationsByOwner() {
+  const entries = await redis.zrange(LEGACY_INDEX_KEY, 0, -1, "WITHSCORES");
+  if (entries.length === 0) return;
+
+  const transaction = redis.multi();
+  for (let i = 0; i < entries.length; i += 2) {
+    const raw = await redis.get(conversationKey(entries[i]));
+    const ownerId = raw ? JSON.parse(raw).ownerId : undefined;
+    if (ownerId !== undefined) {
+      transaction.zadd(indexKey(ownerId), entries[i + 1], entries[i]);
+    }
+  }
+  await transaction.del(LEGACY_INDEX_KEY).exec();
+}
@@ -0,0 +1,142 @@
+import { redis } from "./redis.js";
+
+// ===================================================
+// Document registry (Valkey)
+// ===================================================
+// One JSON record per uploaded file, written by the upload route and kept
+// up to date by the worker:
+//   id, ownerId, filename, path, size, type, contentHash, version,
+//   status (queued | processing | ready | failed), uploadedAt, ingestedAt,
+//   pageCount, chunkCount, chunking, embedding, error
+// rag:documents             set of every document ID
+// rag:documents:<ownerId>   set of the IDs of one owner's documents
+// rag:hash:<ownerId>:<contentHash> holds the ID of the owner's document
+// with those bytes, so duplicates are found without scanning.
+const INDEX_KEY = "rag:documents";
+const ownerIndexKey = (ownerId) => `rag:documents:${ownerId}`;
+const documentKey = (id) => `rag:document:${id}`;
+const hashKey = (ownerId, contentHash) => `rag:hash:${ownerId}:${contentHash}`;
+
+// Save a document unless its owner already has one with the same bytes;
+// resolves with that one's ID then, null once saved
+const CREATE_SCRIPT = `
+if redis.call("SET", KEYS[1], ARGV[1], "NX") then
+  redis.call("SET", KEYS[2], ARGV[2])
+  redis.call("SADD", KEYS[3], ARGV[1])
+  redis.call("SADD", KEYS[4], ARGV[1])
+  return false
+end
+return redis.call("GET", KEYS[1])`;
+
+// Drop a content hash reservation, but only the one of document `id`
+const RELEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
+export async function saveDocument(document) {
+  const transaction = redis
+    .multi()
+    .set(documentKey(document.id), JSON.stringify(document))
+    .sadd(INDEX_KEY, document.id);
+  if (document.ownerId !== undefined) {
+    transaction.sadd(ownerIndexKey(document.ownerId), document.id);
+  }
+  await transaction.exec();
+  return document;
+}
+
+// With `ownerId`, another user's document reads as missing
+export async function getDocument(id, ownerId) {
+  const raw = await redis.get(documentKey(id));
+  const document = raw ? JSON.parse(raw) : null;
+  if (document && ownerId !== undefined && document.ownerId !== ownerId) {
+    return null;
+  }
+  return document;
+}
+
+/**
+ * Save a new document and reserve its content hash in one step, so of two
+ * uploads of the same bytes arriving together only one is stored. Resolves
+ * with null, or with the ID of the owner's document holding those bytes.
+ */
+export async function createDocument(document) {
+  return redis.eval(
+    CREATE_SCRIPT,
+    4,
+    hashKey(document.ownerId, document.contentHash),
+    documentKey(document.id),
+    INDEX_KEY,
+    ownerIndexKey(document.ownerId),
+    document.id,
+    JSON.stringify(document)
+  );
+}
+
+// Point a content hash at document `id` unless another document holds it
+export async function claimContentHash(ownerId, contentHash, id) {
+  await redis.set(hashKey(ownerId, contentHash), id, "NX");
+}
+
+export async function releaseContentHash(ownerId, contentHash, id) {
+  await redis.eval(RELEASE_SCRIPT, 1, hashKey(ownerId, contentHash), id);
+}
+
+// Merge fields into an existing record; returns null if it is gone
+export async function updateDocument(id, patch) {
+  const document = await getDocument(id);
+  if (!document) return null;
+  return saveDocument({ ...document, ...patch });
+}
+
+// Newest uploads first; only the documents of `ownerId` when given, read
+// from that owner's index
+export async function listDocuments(ownerId) {
+  const ids = await redis.smembers(
+    ownerId === undefined ? INDEX_KEY : ownerIndexKey(ownerId)
+  );
+  if (ids.length === 0) return [];
+
+  const records = await redis.mget(ids.map(documentKey));
+  return records
+    .filter(Boolean)
+    .map((raw) => JSON.parse(raw))
+    .filter((document) => ownerId === undefined || document.ownerId === ownerId)
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+// Newest document of `ownerId` matching a predicate
+export async function findDocument(ownerId, predicate) {
+  return (await listDocuments(ownerId)).find(predicate) ?? null;
+}
+
+export async function deleteDocument(id) {
+  const document = await getDocument(id);
+  const transaction = redis.multi().del(documentKey(id)).srem(INDEX_KEY, id);
+  if (document?.ownerId !== undefined) {
+    transaction.srem(ownerIndexKey(document.ownerId), id);
+  }
+  await transaction.exec();
+  if (document?.contentHash) {
+    await releaseContentHash(document.ownerId, document.contentHash, id);
+  }
+}
+
+// Owner indexes and content hash reservations for documents saved before
+// they existed; run at startup
+export async function indexDocumentsByOwner() {
+  const ids = await redis.smembers(INDEX_KEY);
+  if (ids.length === 0) return;
+
+  const records = await redis.mget(ids.map(documentKey));
+  const transaction = redis.multi();
+  for (const raw of records.filter(Boolean)) {
+    const { id, ownerId, contentHash } = JSON.parse(raw);
+    if (ownerId === undefined) continue;
+    transaction.sadd(ownerIndexKey(ownerId), id);
+    if (contentHash) transaction.set(hashKey(ownerId, contentHash), id, "NX");
+  }
+  await transaction.exec();
+}
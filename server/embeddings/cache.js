@@ -0,0 +1,123 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { redis } from "../redis.js";
+import { sha256 } from "../hashing.js";
+
+// ===================================================
+// Embedding cache (Valkey)
+// ===================================================
+// rag:embedding:<backend>:<model>:<kind>:<sha256 of text>
+//                            vector as little-endian float32 bytes
+// rag:embedding-cache:stats  hash of <kind>:hits / <kind>:misses
+// `kind` is "documents" or "query": some models embed a question
+// differently from a passage, so the two never share entries. A hit is a
+// text that did not have to be sent to the backend; the counters are
+// shared by the API server and every worker.
+const STATS_KEY = "rag:embedding-cache:stats";
+const KINDS = ["documents", "query"];
+
+// Qdrant stores float32 anyway, so nothing is lost by caching that
+export const encodeVector = (vector) =>
+  Buffer.from(new Float32Array(vector).buffer);
+// Copied first: Float32Array needs an aligned offset, pooled Buffers may not be
+export const decodeVector = (buffer) =>
+  Array.from(new Float32Array(new Uint8Array(buffer).buffer));
+
+/**
+ * LangChain Embeddings that look every text up in Valkey first and only
+ * send the misses to the wrapped backend. If Valkey is unavailable the
+ * backend is used directly.
+ */
+export class CachedEmbeddings extends Embeddings {
+  constructor(inner, { namespace, ttlSeconds }) {
+    super({});
+    this.inner = inner;
+    this.namespace = namespace;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  key(kind, text) {
+    return `rag:embedding:${this.namespace}:${kind}:${sha256(text)}`;
+  }
+
+  // How many of these passages would reach the backend (for rate limiting)
+  async countMisses(texts) {
+    try {
+      const cached = await redis.mgetBuffer(
+        texts.map((text) => this.key("documents", text))
+      );
+      return new Set(texts.filter((_, index) => !cached[index])).size;
+    } catch {
+      return texts.length;
+    }
+  }
+
+  async embedMany(kind, texts, embed) {
+    const keys = texts.map((text) => this.key(kind, text));
+    let cached;
+    try {
+      cached = await redis.mgetBuffer(keys);
+    } catch (error) {
+      console.error("🚨 Embedding cache unavailable:", error.message);
+      return embed(texts);
+    }
+
+    // Embed each distinct missing text once
+    const missing = [...new Set(texts.filter((_, index) => !cached[index]))];
+    const fresh = new Map();
+    if (missing.length > 0) {
+      const vectors = await embed(missing);
+      missing.forEach((text, index) => fresh.set(text, vectors[index]));
+    }
+
+    const pipeline = redis.pipeline();
+    for (const [text, vector] of fresh) {
+      const args = this.ttlSeconds > 0 ? ["EX", this.ttlSeconds] : [];
+      pipeline.set(this.key(kind, text), encodeVector(vector), ...args);
+    }
+    pipeline
+      .hincrby(STATS_KEY, `${kind}:hits`, texts.length - missing.length)
+      .hincrby(STATS_KEY, `${kind}:misses`, missing.length);
+    await pipeline.exec().catch((error) => {
+      console.error("🚨 Could not update embedding cache:", error.message);
+    });
+
+    return texts.map((text, index) =>
+      cached[index] ? decodeVector(cached[index]) : fresh.get(text)
+    );
+  }
+
+  embedDocuments(texts) {
+    return this.embedMany("documents", texts, (missing) =>
+      this.inner.embedDocuments(missing)
+    );
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedMany("query", [text], async ([query]) => [
+      await this.inner.embedQuery(query),
+    ]);
+    return vector;
+  }
+}
+
+const rate = (hits, misses) =>
+  hits + misses === 0 ? null : Number((hits / (hits + misses)).toFixed(4));
+
+// Hits and misses since the counters were last reset, per kind and overall
+export async function getEmbeddingCacheStats() {
+  const raw = await redis.hgetall(STATS_KEY);
+  const stats = { hits: 0, misses: 0 };
+  for (const kind of KINDS) {
+    const hits = Number(raw[`${kind}:hits`] ?? 0);
+    const misses = Number(raw[`${kind}:misses`] ?? 0);
+    stats[kind] = { hits, misses, hitRate: rate(hits, misses) };
+    stats.hits += hits;
+    stats.misses += misses;
+  }
+  stats.hitRate = rate(stats.hits, stats.misses);
+  return stats;
+}
+
+export async function resetEmbeddingCacheStats() {
+  await redis.del(STATS_KEY);
+}
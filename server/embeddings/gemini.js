@@ -0,0 +1,22 @@
+import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import { config } from "../config.js";
+
+// ===================================================
+// Google Gemini embeddings
+// ===================================================
+export const geminiEmbeddings = {
+  name: "gemini",
+  label: "Google Gemini",
+  defaultModel: "text-embedding-004", // Google's embedding model
+
+  isConfigured() {
+    return Boolean(config.google.apiKey);
+  },
+
+  createEmbeddings(model) {
+    return new GoogleGenerativeAIEmbeddings({
+      apiKey: config.google.apiKey,
+      model,
+    });
+  },
+};
@@ -0,0 +1,25 @@
+import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
+import { config } from "../config.js";
+
+// ===================================================
+// Hugging Face Inference embeddings
+// ===================================================
+// Alternative embedding models:
+// "sentence-transformers/all-mpnet-base-v2", // Higher quality, slower
+// "BAAI/bge-small-en-v1.5", // Very good performance
+export const huggingfaceEmbeddings = {
+  name: "huggingface",
+  label: "Hugging Face Inference",
+  defaultModel: "sentence-transformers/all-MiniLM-L6-v2", // Fast and good quality
+
+  isConfigured() {
+    return Boolean(config.huggingface.apiKey);
+  },
+
+  createEmbeddings(model) {
+    return new HuggingFaceInferenceEmbeddings({
+      apiKey: config.huggingface.apiKey,
+      model,
+    });
+  },
+};
@@ -0,0 +1,86 @@
+import { config } from "../config.js";
+import { geminiEmbeddings } from "./gemini.js";
+import { huggingfaceEmbeddings } from "./huggingface.js";
+import { ollamaEmbeddings } from "./ollama.js";
+import { localEmbeddings } from "./local.js";
+import { CachedEmbeddings } from "./cache.js";
+
+// ===================================================
+// Embedding backend registry
+// ===================================================
+// A backend is a plain object with:
+//   name, label, defaultModel
+//   isConfigured()          -> whether credentials/settings are present
+//   createEmbeddings(model) -> LangChain Embeddings instance
+const backends = new Map();
+let embedder;
+
+export function registerEmbeddingBackend(backend) {
+  backends.set(backend.name, backend);
+}
+
+[geminiEmbeddings, huggingfaceEmbeddings, ollamaEmbeddings, localEmbeddings].forEach(
+  registerEmbeddingBackend
+);
+
+export function listEmbeddingBackends() {
+  return [...backends.values()];
+}
+
+/**
+ * The embedder configured through EMBEDDINGS_PROVIDER / EMBEDDINGS_MODEL.
+ * Created once and shared by every request (and every job in the worker).
+ * Unless EMBEDDINGS_CACHE=false, vectors are cached in Valkey by
+ * (backend, model, text), so re-indexing and repeated questions only
+ * embed what was never embedded before.
+ */
+export function getEmbedder() {
+  if (embedder) return embedder;
+
+  const backend = backends.get(config.embeddings.provider);
+  if (!backend) {
+    throw new Error(
+      `Unknown embedding backend: ${config.embeddings.provider} (available: ${[
+        ...backends.keys(),
+      ].join(", ")})`
+    );
+  }
+  if (!backend.isConfigured()) {
+    throw new Error(
+      `Embedding backend "${backend.name}" is not configured on this server`
+    );
+  }
+
+  const model = config.embeddings.model || backend.defaultModel;
+  const embeddings = backend.createEmbeddings(model);
+  embedder = {
+    backend: backend.name,
+    model,
+    embeddings: config.embeddings.cache
+      ? new CachedEmbeddings(embeddings, {
+          namespace: `${backend.name}:${model}`,
+          ttlSeconds: config.embeddings.cacheTtlDays * 24 * 60 * 60,
+        })
+      : embeddings,
+    dimension: undefined,
+  };
+  return embedder;
+}
+
+// Vector size is not advertised by most APIs, so embed a probe string once
+export async function getEmbeddingDimension(target = getEmbedder()) {
+  if (!target.dimension) {
+    const probe = await target.embeddings.embedQuery("dimension probe");
+    target.dimension = probe.length;
+  }
+  return target.dimension;
+}
+
+// What gets recorded on the Qdrant collection
+export async function describeEmbedder(target = getEmbedder()) {
+  return {
+    backend: target.backend,
+    model: target.model,
+    dimension: await getEmbeddingDimension(target),
+  };
+}
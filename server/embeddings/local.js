@@ -0,0 +1,57 @@
+import { createHash } from "node:crypto";
+import { Embeddings } from "@langchain/core/embeddings";
+
+// ===================================================
+// Local deterministic embeddings (offline)
+// ===================================================
+// Feature hashing of words and word pairs into a fixed-size, L2-normalised
+// vector. Same text always gives the same vector, and texts sharing words
+// score closer together, which is all tests and offline demos need.
+export class LocalHashEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimension = fields.dimension ?? 384;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) ?? [];
+    const features = [
+      ...words,
+      ...words.slice(1).map((word, index) => `${words[index]} ${word}`),
+    ];
+
+    for (const feature of features) {
+      const digest = createHash("md5").update(feature).digest();
+      const index = digest.readUInt32LE(0) % this.dimension;
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map((value) => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+export const localEmbeddings = {
+  name: "local",
+  label: "Local hashing embedder (offline)",
+  defaultModel: "local-hash-384",
+
+  isConfigured() {
+    return true;
+  },
+
+  // The model name carries the dimension, e.g. local-hash-256
+  createEmbeddings(model) {
+    const dimension = Number(model.match(/(\d+)$/)?.[1]) || 384;
+    return new LocalHashEmbeddings({ dimension });
+  },
+};
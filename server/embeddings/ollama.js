@@ -0,0 +1,23 @@
+import { OllamaEmbeddings } from "@langchain/ollama";
+import { config } from "../config.js";
+
+// ===================================================
+// Ollama embeddings (local & free)
+// ===================================================
+// Pull the model first: ollama pull nomic-embed-text
+export const ollamaEmbeddings = {
+  name: "ollama",
+  label: "Ollama",
+  defaultModel: "nomic-embed-text",
+
+  isConfigured() {
+    return true;
+  },
+
+  createEmbeddings(model) {
+    return new OllamaEmbeddings({
+      baseUrl: config.ollama.baseUrl,
+      model,
+    });
+  },
+};
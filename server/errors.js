@@ -0,0 +1,13 @@
+// ===================================================
+// HTTP-aware error
+// ===================================================
+// Thrown by shared modules when a request cannot be served; the route
+// handlers turn it into `res.status(error.status).json(...)`.
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
@@ -0,0 +1,97 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { sha256 } from "../hashing.js";
+
+// ===================================================
+// Evaluation datasets
+// ===================================================
+// A dataset is a JSON file:
+// {
+//   "name": "handbook",
+//   "documents": ["handbook.pdf"],       paths relative to the JSON file
+//   "questions": [
+//     {
+//       "id": "vacation-days",
+//       "question": "How many vacation days do new employees get?",
+//       "expectedAnswer": "25 days a year",
+//       "expectedSources": [{ "document": "handbook.pdf", "page": 12 }]
+//     }
+//   ]
+// }
+// An expected source names one of the documents and optionally the page
+// (PDFs) or section (DOCX, Markdown, HTML) that answers the question;
+// without either, any chunk of that document counts.
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+function checkQuestion(question, index, documentNames, problems) {
+  const where = `questions[${index}]`;
+  if (!isText(question.id)) problems.push(`${where}.id is missing`);
+  if (!isText(question.question)) {
+    problems.push(`${where}.question is missing`);
+  }
+  if (!isText(question.expectedAnswer)) {
+    problems.push(`${where}.expectedAnswer is missing`);
+  }
+  (question.expectedSources ?? []).forEach((source, sourceIndex) => {
+    if (!documentNames.has(source.document)) {
+      problems.push(
+        `${where}.expectedSources[${sourceIndex}].document "${source.document}" is not in documents`
+      );
+    }
+  });
+}
+
+/**
+ * Read and check a dataset file. Resolves with `{ name, file, hash,
+ * documents: [{ name, path }], questions }`, where `hash` changes whenever
+ * the questions or expected answers do. Throws listing every problem.
+ */
+export async function loadDataset(file) {
+  const absolute = path.resolve(file);
+  const raw = await fs.readFile(absolute, "utf8");
+
+  let dataset;
+  try {
+    dataset = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+
+  const problems = [];
+  if (!Array.isArray(dataset.documents) || dataset.documents.length === 0) {
+    problems.push("documents must list at least one file");
+  }
+  if (!Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    problems.push("questions must list at least one question");
+  }
+  const documents = (dataset.documents ?? []).map((document) => ({
+    name: path.basename(document),
+    path: path.resolve(path.dirname(absolute), document),
+  }));
+  const documentNames = new Set(documents.map((document) => document.name));
+  (dataset.questions ?? []).forEach((question, index) =>
+    checkQuestion(question, index, documentNames, problems)
+  );
+  const ids = (dataset.questions ?? []).map((question) => question.id);
+  if (new Set(ids).size !== ids.length) {
+    problems.push("question ids must be unique");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid dataset ${file}:\n  ${problems.join("\n  ")}`);
+  }
+
+  return {
+    name: dataset.name || path.basename(absolute, ".json"),
+    file: absolute,
+    hash: sha256(raw),
+    documents,
+    questions: dataset.questions.map((question) => ({
+      id: question.id,
+      question: question.question,
+      expectedAnswer: question.expectedAnswer,
+      expectedSources: question.expectedSources ?? [],
+    })),
+  };
+}
@@ -0,0 +1,360 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { parseArgs, isDeepStrictEqual } from "node:util";
+import { HttpError } from "../errors.js";
+import { hashFile } from "../hashing.js";
+import { getEmbedder } from "../embeddings/index.js";
+import { detectFileType } from "../loaders/index.js";
+import { parseChunkingOptions } from "../chunking.js";
+import { sanitizeFilename } from "../validation.js";
+import { findDocument, saveDocument, updateDocument } from "../documents.js";
+import { enqueueIngestion, waitForIngestion } from "../queue.js";
+import { resolveLLM, generate } from "../providers/index.js";
+import { prepareAnswer, parseRetrievalOptions } from "../rag.js";
+import { resolvePrompt, describePrompt } from "../prompts/index.js";
+import { loadDataset } from "./dataset.js";
+import { getJudge } from "./judges.js";
+import { scoreRetrieval, summarize } from "./metrics.js";
+import {
+  REPORT_FORMAT_VERSION,
+  writeReport,
+  readReport,
+  compareReports,
+  formatMetrics,
+  formatComparison,
+} from "./report.js";
+
+// ===================================================
+// Evaluation harness (CLI)
+// ===================================================
+// Runs a dataset (see dataset.js) through the same pipeline as the app:
+// its documents are indexed by the worker from the ingestion queue, and
+// every question is answered like a /chat request. Needs Qdrant, Valkey
+// and a running worker (npm run dev:worker) with the same environment.
+const USAGE = `Usage:
+  npm run eval -- run <dataset.json> [options]
+  npm run eval -- compare <base-report.json> <report.json>
+
+Options for run:
+  --k, --dense-weight, --keyword-weight, --rerank, --rerank-candidates,
+  --token-budget                    retrieval, as for /chat
+  --chunk-strategy, --chunk-size, --chunk-overlap
+                                    chunking, as for /upload
+  --provider, --model               LLM that answers
+  --prompt <name>, --language <language>
+                                    prompt template and answer language
+  --judge local|llm                 grader (default local, offline)
+  --judge-provider, --judge-model   LLM that grades (default: the answering one)
+  --out <dir>                       where reports go (default eval/reports)
+  --compare <report.json>           compare with an earlier run when done`;
+
+// Evaluation documents belong to this owner, so no user ever sees them
+const EVAL_OWNER = "rag-eval";
+const INGEST_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_REPORT_DIR = "eval/reports";
+
+const OPTIONS = {
+  k: { type: "string" },
+  "dense-weight": { type: "string" },
+  "keyword-weight": { type: "string" },
+  rerank: { type: "string" },
+  "rerank-candidates": { type: "string" },
+  "token-budget": { type: "string" },
+  "chunk-strategy": { type: "string" },
+  "chunk-size": { type: "string" },
+  "chunk-overlap": { type: "string" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  prompt: { type: "string" },
+  language: { type: "string" },
+  judge: { type: "string", default: "local" },
+  "judge-provider": { type: "string" },
+  "judge-model": { type: "string" },
+  out: { type: "string", default: DEFAULT_REPORT_DIR },
+  compare: { type: "string" },
+};
+
+/**
+ * Make sure every dataset document is indexed with these chunking
+ * settings. Documents already indexed the same way (same bytes, chunking
+ * and embedder) are reused; the rest are (re-)queued and waited for.
+ * Resolves with a map of document name -> { id, contentHash }.
+ */
+async function indexDocuments(dataset, chunking) {
+  const embedder = getEmbedder();
+  const embedding = `${embedder.backend}:${embedder.model}`;
+  const indexed = new Map();
+  const jobs = [];
+
+  for (const document of dataset.documents) {
+    const filename = sanitizeFilename(document.name);
+    const type = detectFileType({ originalname: filename });
+    if (!type) throw new Error(`Unsupported file type: ${document.name}`);
+    const contentHash = await hashFile(document.path);
+
+    let record = await findDocument(
+      EVAL_OWNER,
+      (candidate) =>
+        candidate.contentHash === contentHash && candidate.filename === filename
+    );
+    indexed.set(document.name, { id: record?.id, contentHash });
+    if (
+      record?.status === "ready" &&
+      record.embedding === embedding &&
+      isDeepStrictEqual(record.chunking, chunking)
+    ) {
+      console.log(`♻️ ${filename} is already indexed`);
+      continue;
+    }
+
+    // Indexed from a copy, like an upload: deleting the document through
+    // the API removes that file, never the dataset's own
+    const stored =
+      record?.path ??
+      path.join("uploads", `eval-${contentHash.slice(0, 16)}-${filename}`);
+    await fs.mkdir(path.dirname(stored), { recursive: true });
+    await fs.copyFile(document.path, stored);
+
+    if (record) {
+      record = await updateDocument(record.id, { chunking });
+    } else {
+      record = await saveDocument({
+        id: randomUUID(),
+        ownerId: EVAL_OWNER,
+        filename,
+        path: stored,
+        size: (await fs.stat(stored)).size,
+        type,
+        contentHash,
+        version: 1,
+        status: "queued",
+        uploadedAt: new Date().toISOString(),
+        chunking,
+      });
+    }
+    indexed.get(document.name).id = record.id;
+    jobs.push({ filename, jobId: await enqueueIngestion(record) });
+  }
+
+  if (jobs.length > 0) {
+    console.log(
+      `⏳ Waiting for the worker to index ${jobs.length} document(s)...`
+    );
+    const outcomes = await waitForIngestion(
+      jobs.map((job) => job.jobId),
+      { timeoutMs: INGEST_TIMEOUT_MS }
+    );
+    const failures = outcomes
+      .map((outcome, index) => ({ ...outcome, filename: jobs[index].filename }))
+      .filter((outcome) => outcome.error);
+    if (failures.length > 0) {
+      throw new Error(
+        `Indexing failed:\n  ${failures
+          .map(({ filename, error }) => `${filename}: ${error}`)
+          .join("\n  ")}`
+      );
+    }
+    console.log(`✅ Indexed ${jobs.length} document(s)`);
+  }
+  return indexed;
+}
+
+// Answer one question like /chat does, then score retrieval and answer
+async function evaluateQuestion(
+  item,
+  { documents, resolved, retrieval, prompt, judge }
+) {
+  const expectedSources = item.expectedSources.map(
+    ({ document, ...where }) => ({
+      documentId: documents.get(document).id,
+      ...where,
+    })
+  );
+  const base = {
+    id: item.id,
+    question: item.question,
+    expectedAnswer: item.expectedAnswer,
+    expectedSources: item.expectedSources,
+  };
+
+  try {
+    const { sources, context, messages } = await prepareAnswer({
+      question: item.question,
+      resolved,
+      ownerId: EVAL_OWNER,
+      documentIds: [...documents.values()].map((document) => document.id),
+      retrieval,
+      prompt,
+      useCache: false,
+    });
+    const answer = await generate(resolved, messages);
+    const contexts = sources.map((source) => source.text);
+    const graded = { ...item, answer, contexts };
+
+    return {
+      ...base,
+      answer,
+      sources: sources.map((source) => ({
+        rank: source.id,
+        documentName: source.documentName,
+        page: source.page,
+        section: source.section,
+        score: source.score,
+      })),
+      context,
+      ...scoreRetrieval(sources, expectedSources),
+      faithfulness: await judge.faithfulness(graded),
+      correctness: await judge.correctness(graded),
+    };
+  } catch (error) {
+    return { ...base, error: error.message };
+  }
+}
+
+function usage() {
+  console.error(USAGE);
+  return 1;
+}
+
+const twoPlaces = (value) => (value === null ? "n/a" : value.toFixed(2));
+
+async function run(datasetFile, options) {
+  if (!datasetFile) return usage();
+  const dataset = await loadDataset(datasetFile);
+
+  // Same parsing (and validation) as /chat and /upload
+  const retrieval = parseRetrievalOptions({
+    k: options.k,
+    denseWeight: options["dense-weight"],
+    keywordWeight: options["keyword-weight"],
+    rerank: options.rerank,
+    rerankCandidates: options["rerank-candidates"],
+    tokenBudget: options["token-budget"],
+  });
+  const chunking = parseChunkingOptions({
+    chunkStrategy: options["chunk-strategy"],
+    chunkSize: options["chunk-size"],
+    chunkOverlap: options["chunk-overlap"],
+  });
+  const resolved = resolveLLM({
+    provider: options.provider,
+    model: options.model,
+  });
+  const prompt = resolvePrompt({
+    name: options.prompt,
+    language: options.language,
+  });
+  // The answering LLM grades its own answers unless told otherwise
+  const judge = getJudge(options.judge).create(
+    options["judge-provider"]
+      ? { provider: options["judge-provider"], model: options["judge-model"] }
+      : {
+          provider: resolved.provider.name,
+          model: options["judge-model"] ?? resolved.model,
+        }
+  );
+  const embedder = getEmbedder();
+
+  const startedAt = new Date();
+  console.log(
+    `🧪 Evaluating ${dataset.name}: ${dataset.questions.length} questions`
+  );
+  const documents = await indexDocuments(dataset, chunking);
+
+  const results = [];
+  for (const item of dataset.questions) {
+    const result = await evaluateQuestion(item, {
+      documents,
+      resolved,
+      retrieval,
+      prompt,
+      judge,
+    });
+    results.push(result);
+    console.log(
+      result.error
+        ? `❌ ${item.id}: ${result.error}`
+        : `${result.correctness.score >= 0.5 ? "✅" : "⚠️"} ${item.id}: recall ${twoPlaces(result.recall)}, RR ${twoPlaces(result.reciprocalRank)}, faithfulness ${twoPlaces(result.faithfulness.score)}, correctness ${twoPlaces(result.correctness.score)}`
+    );
+  }
+
+  const report = {
+    formatVersion: REPORT_FORMAT_VERSION,
+    dataset: {
+      name: dataset.name,
+      file: path.relative(process.cwd(), dataset.file),
+      hash: dataset.hash,
+      documents: dataset.documents.map((document) => ({
+        name: document.name,
+        contentHash: documents.get(document.name).contentHash,
+      })),
+    },
+    settings: {
+      chunking,
+      retrieval: {
+        k: retrieval.k,
+        denseWeight: retrieval.denseWeight,
+        keywordWeight: retrieval.keywordWeight,
+        reranker: retrieval.reranker?.name ?? "none",
+        rerankCandidates: retrieval.reranker
+          ? retrieval.rerankCandidates
+          : null,
+        tokenBudget: retrieval.reranker ? retrieval.tokenBudget : null,
+      },
+      embedding: `${embedder.backend}:${embedder.model}`,
+      llm: { provider: resolved.provider.name, model: resolved.model },
+      prompt: describePrompt(prompt),
+      judge: judge.describe(),
+    },
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    metrics: summarize(results),
+    questions: results,
+  };
+
+  const file = await writeReport(report, options.out);
+  console.log(`\n${formatMetrics(report.metrics, retrieval.k)}`);
+  if (report.metrics.failed > 0) {
+    console.log(`❌ ${report.metrics.failed} question(s) failed`);
+  }
+  console.log(`📝 Report written to ${file}`);
+
+  if (options.compare) {
+    const base = await readReport(options.compare);
+    console.log(`\nCompared with ${options.compare}:`);
+    console.log(formatComparison(compareReports(base, report)));
+  }
+}
+
+async function compare(baseFile, currentFile) {
+  if (!baseFile || !currentFile) return usage();
+  const [base, current] = await Promise.all([
+    readReport(baseFile),
+    readReport(currentFile),
+  ]);
+  console.log(formatComparison(compareReports(base, current)));
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...files] = positionals;
+
+  if (command === "run") return run(files[0], values);
+  if (command === "compare") return compare(files[0], files[1]);
+  return usage();
+}
+
+// Open queue and Valkey connections would keep the process alive
+main()
+  .then((code = 0) => process.exit(code))
+  .catch((error) => {
+    console.error(`🚨 ${error.message}`);
+    if (error instanceof HttpError && error.details) {
+      console.error(error.details);
+    }
+    process.exit(1);
+  });
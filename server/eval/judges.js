@@ -0,0 +1,132 @@
+import { tokenize } from "../keywords.js";
+import { generate, resolveLLM } from "../providers/index.js";
+
+// ===================================================
+// Answer judges
+// ===================================================
+// A judge is a plain object with:
+//   name, label
+//   create(options)  -> { describe(), faithfulness(item), correctness(item) }
+// where item is { question, answer, contexts, expectedAnswer } and both
+// checks resolve with { score (0-1, or null if no verdict), reason }.
+//   faithfulness  is every claim in the answer backed by the retrieved
+//                 context (nothing made up)?
+//   correctness   does the answer say what the expected answer says?
+
+// Inline citations are not words of the answer
+const withoutCitations = (text) => text.replace(/\[\d+\]/g, " ");
+
+// Share of the distinct terms of `text` that also occur in `reference`
+function coverage(text, reference) {
+  const wanted = new Set(tokenize(withoutCitations(text)));
+  const found = new Set(tokenize(reference));
+  const covered = [...wanted].filter((term) => found.has(term)).length;
+  return { covered, total: wanted.size };
+}
+
+// Offline and deterministic: word overlap instead of understanding. Good
+// enough to notice a run getting worse; not a measure of quality.
+const localJudge = {
+  name: "local",
+  label: "Local word overlap",
+
+  create() {
+    return {
+      describe: () => ({ judge: "local" }),
+
+      async faithfulness({ answer, contexts }) {
+        const { covered, total } = coverage(answer, contexts.join("\n"));
+        if (total === 0) return { score: null, reason: "Empty answer" };
+        return {
+          score: covered / total,
+          reason: `${covered} of ${total} answer terms appear in the retrieved context`,
+        };
+      },
+
+      async correctness({ answer, expectedAnswer }) {
+        const { covered, total } = coverage(expectedAnswer, answer);
+        if (total === 0) {
+          return { score: null, reason: "Empty expected answer" };
+        }
+        return {
+          score: covered / total,
+          reason: `${covered} of ${total} expected answer terms appear in the answer`,
+        };
+      },
+    };
+  },
+};
+
+const SCORE_LINE = /score\s*[:=]\s*(\d+(?:\.\d+)?)/i;
+const REASON_LINE = /reason\s*[:=]\s*(.+)/i;
+
+// Ask the judge model for "Score: <0-10>" and "Reason: <sentence>"
+async function grade(resolved, instructions, material) {
+  const reply = await generate(resolved, [
+    {
+      role: "system",
+      content: `${instructions}
+
+Reply with exactly two lines:
+Score: <a number from 0 to 10>
+Reason: <one sentence>`,
+    },
+    { role: "user", content: material },
+  ]);
+
+  const score = reply.match(SCORE_LINE);
+  const reason = reply.match(REASON_LINE)?.[1].trim() ?? reply.trim();
+  return score
+    ? { score: Math.min(Number(score[1]), 10) / 10, reason }
+    : { score: null, reason: `Unreadable verdict: ${reason.slice(0, 200)}` };
+}
+
+// Any chat provider as the grader (the answering LLM unless told otherwise)
+const llmJudge = {
+  name: "llm",
+  label: "LLM judge",
+
+  create({ provider, model }) {
+    const resolved = resolveLLM({ provider, model });
+    // Same capability the follow-up rewrite needs: following an instruction
+    if (resolved.provider.supportsQueryRewrite === false) {
+      throw new Error(`${resolved.provider.label} cannot act as a judge`);
+    }
+
+    return {
+      describe: () => ({
+        judge: "llm",
+        provider: resolved.provider.name,
+        model: resolved.model,
+      }),
+
+      faithfulness: ({ question, answer, contexts }) =>
+        grade(
+          resolved,
+          "You check answers for made-up content. Grade from 0 (mostly unsupported) to 10 (every statement is supported by the context). Ignore whether the answer is complete.",
+          `Context:\n${contexts.join("\n\n---\n\n")}\n\nQuestion: ${question}\n\nAnswer: ${answer}`
+        ),
+
+      correctness: ({ question, answer, expectedAnswer }) =>
+        grade(
+          resolved,
+          "You compare an answer with the expected answer to a question. Grade from 0 (contradicts or misses it) to 10 (says the same thing). Extra detail that does not contradict it is fine.",
+          `Question: ${question}\n\nExpected answer: ${expectedAnswer}\n\nAnswer: ${answer}`
+        ),
+    };
+  },
+};
+
+const judges = new Map(
+  [localJudge, llmJudge].map((judge) => [judge.name, judge])
+);
+
+export function getJudge(name) {
+  const judge = judges.get(name);
+  if (!judge) {
+    throw new Error(
+      `Unknown judge: ${name} (available: ${[...judges.keys()].join(", ")})`
+    );
+  }
+  return judge;
+}
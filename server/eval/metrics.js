@@ -0,0 +1,60 @@
+// ===================================================
+// Retrieval metrics
+// ===================================================
+// Computed on the sources /chat would return for a question, in rank
+// order, against the dataset's expected sources (resolved to document IDs).
+
+// Whether a retrieved source is (part of) an expected one
+const matches = (source, expected) =>
+  source.documentId === expected.documentId &&
+  (expected.page == null || source.page === expected.page) &&
+  (expected.section == null || source.section === expected.section);
+
+/**
+ * recall@k: the share of expected sources found among the `k` retrieved
+ * ones. Reciprocal rank: 1 / rank of the first retrieved source that is
+ * expected, 0 if none is. Both are null for questions without expected
+ * sources, which then do not count towards the averages.
+ */
+export function scoreRetrieval(sources, expectedSources) {
+  if (expectedSources.length === 0) {
+    return { recall: null, reciprocalRank: null, firstRelevantRank: null };
+  }
+
+  const found = expectedSources.filter((expected) =>
+    sources.some((source) => matches(source, expected))
+  );
+  const first = sources.findIndex((source) =>
+    expectedSources.some((expected) => matches(source, expected))
+  );
+  return {
+    recall: found.length / expectedSources.length,
+    reciprocalRank: first === -1 ? 0 : 1 / (first + 1),
+    firstRelevantRank: first === -1 ? null : first + 1,
+  };
+}
+
+const round = (value) => Number(value.toFixed(4));
+
+// Mean of the values that are not null; null when there are none
+export function mean(values) {
+  const known = values.filter((value) => value !== null && value !== undefined);
+  return known.length === 0
+    ? null
+    : round(known.reduce((sum, value) => sum + value, 0) / known.length);
+}
+
+/**
+ * The headline numbers of a run: recall@k, MRR, faithfulness and
+ * correctness averaged over the questions that have them.
+ */
+export function summarize(results) {
+  return {
+    questions: results.length,
+    failed: results.filter((result) => result.error).length,
+    recallAtK: mean(results.map((result) => result.recall)),
+    mrr: mean(results.map((result) => result.reciprocalRank)),
+    faithfulness: mean(results.map((result) => result.faithfulness?.score)),
+    correctness: mean(results.map((result) => result.correctness?.score)),
+  };
+}
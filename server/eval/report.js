@@ -0,0 +1,140 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { isDeepStrictEqual } from "node:util";
+
+// ===================================================
+// Evaluation reports
+// ===================================================
+// One JSON file per run:
+//   { formatVersion, dataset: { name, hash, documents }, settings,
+//     startedAt, durationMs, metrics, questions: [...] }
+// `settings` holds everything that can change results (chunking,
+// retrieval options, embedder, LLM, prompt template, judge), so two
+// reports can be compared metric by metric and the cause of a difference
+// looked up.
+export const REPORT_FORMAT_VERSION = 1;
+
+const METRICS = ["recallAtK", "mrr", "faithfulness", "correctness"];
+
+export async function writeReport(report, directory) {
+  await fs.mkdir(directory, { recursive: true });
+  const stamp = report.startedAt.replace(/[:.]/g, "-");
+  const file = path.join(directory, `${report.dataset.name}-${stamp}.json`);
+  await fs.writeFile(file, `${JSON.stringify(report, null, 2)}\n`);
+  return file;
+}
+
+export async function readReport(file) {
+  const report = JSON.parse(await fs.readFile(file, "utf8"));
+  if (report.formatVersion !== REPORT_FORMAT_VERSION) {
+    throw new Error(
+      `${file} has report format ${report.formatVersion}, expected ${REPORT_FORMAT_VERSION}`
+    );
+  }
+  return report;
+}
+
+// Settings that differ, as "chunking.chunkSize: 1000 -> 800"
+function settingChanges(before, after, prefix = "") {
+  const keys = new Set([
+    ...Object.keys(before ?? {}),
+    ...Object.keys(after ?? {}),
+  ]);
+  return [...keys].flatMap((key) => {
+    const [a, b] = [before?.[key], after?.[key]];
+    if (isDeepStrictEqual(a, b)) return [];
+    const isObject = (value) => value && typeof value === "object";
+    if (isObject(a) && isObject(b)) {
+      return settingChanges(a, b, `${prefix}${key}.`);
+    }
+    return [`${prefix}${key}: ${JSON.stringify(a)} -> ${JSON.stringify(b)}`];
+  });
+}
+
+const delta = (before, after) =>
+  before === null || after === null
+    ? null
+    : Number((after - before).toFixed(4));
+
+/**
+ * What changed from `base` to `current`: differing settings, each metric's
+ * delta, and the questions whose scores moved. Reports of different
+ * datasets (or dataset versions) are compared too, with a warning.
+ */
+export function compareReports(base, current) {
+  const questions = new Map(
+    base.questions.map((question) => [question.id, question])
+  );
+  const moved = current.questions.flatMap((question) => {
+    const before = questions.get(question.id);
+    if (!before) return [];
+    const changes = {};
+    for (const [name, read] of Object.entries({
+      recall: (result) => result.recall,
+      reciprocalRank: (result) => result.reciprocalRank,
+      faithfulness: (result) => result.faithfulness?.score ?? null,
+      correctness: (result) => result.correctness?.score ?? null,
+    })) {
+      const change = delta(read(before) ?? null, read(question) ?? null);
+      if (change) changes[name] = change;
+    }
+    return Object.keys(changes).length > 0
+      ? [{ id: question.id, ...changes }]
+      : [];
+  });
+
+  return {
+    sameDataset: base.dataset.hash === current.dataset.hash,
+    settings: settingChanges(base.settings, current.settings),
+    metrics: Object.fromEntries(
+      METRICS.map((name) => [
+        name,
+        {
+          before: base.metrics[name],
+          after: current.metrics[name],
+          delta: delta(base.metrics[name], current.metrics[name]),
+        },
+      ])
+    ),
+    questions: moved,
+  };
+}
+
+const show = (value) => (value === null ? "  n/a " : value.toFixed(4));
+const signed = (value) =>
+  value === null ? "" : ` (${value > 0 ? "+" : ""}${value.toFixed(4)})`;
+
+export function formatMetrics(metrics, k) {
+  return [
+    `recall@${k}     ${show(metrics.recallAtK)}`,
+    `MRR          ${show(metrics.mrr)}`,
+    `faithfulness ${show(metrics.faithfulness)}`,
+    `correctness  ${show(metrics.correctness)}`,
+  ].join("\n");
+}
+
+export function formatComparison(comparison) {
+  const lines = [];
+  if (!comparison.sameDataset) {
+    lines.push("⚠️ The reports were run on different versions of the dataset");
+  }
+  lines.push(
+    comparison.settings.length > 0
+      ? `Settings changed:\n  ${comparison.settings.join("\n  ")}`
+      : "Settings unchanged"
+  );
+  for (const [name, { before, after, delta: change }] of Object.entries(
+    comparison.metrics
+  )) {
+    lines.push(
+      `${name.padEnd(13)}${show(before)} -> ${show(after)}${signed(change)}`
+    );
+  }
+  for (const { id, ...changes } of comparison.questions) {
+    const parts = Object.entries(changes).map(
+      ([name, change]) => `${name}${signed(change)}`
+    );
+    lines.push(`  ${id}: ${parts.join(", ")}`);
+  }
+  return lines.join("\n");
+}
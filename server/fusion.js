@@ -0,0 +1,45 @@
+// ===================================================
+// Weighted reciprocal rank fusion
+// ===================================================
+// Hybrid retrieval ranks the same chunks twice (embedding similarity and
+// BM25). Scores of the two are not comparable, their ranks are: a chunk
+// gets weight / (rrfK + rank) from every list it is in, so chunks both
+// searches like come first.
+
+/**
+ * Fuse ranked lists of `[doc, score]` pairs, best first. Each ranking is
+ * `{ results, weight, scoreField }`: the raw score of a list is kept on the
+ * document under `scoreField` (null when that list did not find it).
+ * Resolves documents by `doc.id`. Returns the best `k` documents with their
+ * fused `score`, 1 meaning ranked first by every non-empty list.
+ */
+export function fuseRankings(rankings, { k, rrfK }) {
+  const unscored = Object.fromEntries(
+    rankings.map(({ scoreField }) => [scoreField, null])
+  );
+  const fused = new Map();
+  for (const { results, weight, scoreField } of rankings) {
+    results.forEach(([doc, score], rank) => {
+      const entry = fused.get(doc.id) ?? {
+        doc: Object.assign(doc, unscored),
+        rrf: 0,
+      };
+      entry.rrf += weight / (rrfK + rank + 1);
+      entry.doc[scoreField] = score;
+      fused.set(doc.id, entry);
+    });
+  }
+
+  // Best possible fused score, used to report scores between 0 and 1
+  const maxRrf =
+    rankings.reduce(
+      (sum, { results, weight }) => sum + (results.length ? weight : 0),
+      0
+    ) /
+    (rrfK + 1);
+
+  return [...fused.values()]
+    .sort((a, b) => b.rrf - a.rrf)
+    .slice(0, k)
+    .map(({ doc, rrf }) => Object.assign(doc, { score: rrf / maxRrf }));
+}
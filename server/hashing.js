@@ -0,0 +1,27 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+
+// ===================================================
+// Content hashes for upload dedup and incremental re-indexing
+// ===================================================
+export const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Qdrant point IDs are UUIDs or integers, so hashes are laid out as a UUID
+export const hashToUuid = (hex) =>
+  [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32),
+  ].join("-");
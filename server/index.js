@@ -1,215 +1,116 @@
 import express from "express";
 import cors from "cors";
-import multer from "multer";
-import { Queue } from "bullmq";
-import { QdrantVectorStore } from "@langchain/qdrant";
-// For the vector embedding.
-import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
-import dotenv from "dotenv";
-dotenv.config();
-
-// ===================================================
-// Initialize Google Gemini LLM
-// ===================================================
-const llm = new ChatGoogleGenerativeAI({
-  apiKey: process.env.GOOGLE_API_KEY,
-  model: "gemini-1.5-flash", // Free model with good performance
-  temperature: 0.7,
-  maxOutputTokens: 2048,
-});
-
-// ===================================================
-// Queue Setup
-// ===================================================
-const queue = new Queue("file-upload-queue", {
-  connection: {
-    host: "localhost",
-    port: "6379",
-  },
-});
-
-// ===================================================
-// Multer Configuration
-// ===================================================
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/");
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
-  },
-});
-
-const upload = multer({ storage: storage });
+import { config } from "./config.js";
+import { requireAuth, requireAdmin, getVerifier } from "./auth/index.js";
+import uploadRouter from "./routes/upload.js";
+import documentsRouter from "./routes/documents.js";
+import jobsRouter from "./routes/jobs.js";
+import chatRouter from "./routes/chat.js";
+import conversationsRouter from "./routes/conversations.js";
+import adminRouter from "./routes/admin.js";
+import openaiRouter from "./routes/openai.js";
+import { getProvider, listModels, checkHealth } from "./providers/index.js";
+import { listPrompts } from "./prompts/index.js";
+import { indexDocumentsByOwner } from "./documents.js";
+import { indexConversationsByOwner } from "./conversations.js";
 
 // =========================================
 // Express App Setup
 // =========================================
 const app = express();
-app.use(cors());
+app.use(cors({ origin: config.auth.corsOrigins }));
 app.use(express.json());
 
 app.get("/", (req, res) => {
-  return res.json({ status: "All Good with Gemini!" });
+  return res.json({
+    status: "All Good!",
+    provider: config.llm.provider,
+  });
 });
 
-//===========================================
-// Endpoint to upload PDF file
-//===========================================
-app.post("/upload/pdf", upload.single("pdf"), async (req, res) => {
-  try {
-    await queue.add(
-      "file-ready",
-      JSON.stringify({
-        filename: req.file.originalname,
-        destination: req.file.destination,
-        path: req.file.path,
-      })
-    );
-    return res.json({ message: "PDF uploaded successfully" });
-  } catch (error) {
-    console.error("Upload error:", error);
-    return res.status(500).json({ error: "Failed to upload file" });
-  }
-});
+// Everything below works on the caller's own documents and conversations,
+// so it needs a bearer token (see auth/index.js)
 
-//==================================================
-// Endpoint to chat with the PDF file using Gemini
-//==================================================
-app.get("/chat", async (req, res) => {
-  try {
-    const userQuery = req.query.message;
+// Upload documents (deduplicated by content hash)
+app.use("/upload", requireAuth, uploadRouter);
 
-    if (!userQuery) {
-      return res
-        .status(400)
-        .json({ error: "Message query parameter is required" });
-    }
+// List, inspect, delete and re-index uploaded documents
+app.use("/documents", requireAuth, documentsRouter);
 
-    // Initialize embeddings
-    // 1. Using openAI
-    // For this you need to `import { OpenAIEmbeddings } from "@langchain/openai";`
-    // const embeddings = new OpenAIEmbeddings({
-    //   model: "text-embedding-3-small",
-    //   apiKey: process.env.OPENAI_API_KEY,
-    // });
-
-    // Using Hugging Face
-    // import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
-    // const embeddings = new HuggingFaceInferenceEmbeddings({
-    //   apiKey: process.env.HUGGINGFACE_API_KEY,
-    //   model: "sentence-transformers/all-MiniLM-L6-v2", // Fast and good quality
-    // Alternative embedding models:
-    // model: "sentence-transformers/all-mpnet-base-v2", // Higher quality, slower
-    // model: "BAAI/bge-small-en-v1.5", // Very good performance
-    // });
-
-    // But for now we will use Gemini
-    const embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: process.env.GOOGLE_API_KEY,
-      model: "text-embedding-004", // Google's embedding model
-    });
+// Follow an ingestion job from upload to "ready to chat"
+app.use("/jobs", requireAuth, jobsRouter);
 
-    // Get vector store
-    const vectorStore = await QdrantVectorStore.fromExistingCollection(
-      embeddings,
-      {
-        url: "http://localhost:6333",
-        collectionName: "langchainjs-testing",
-      }
-    );
-
-    const retriever = vectorStore.asRetriever({
-      k: 3, // Increased to get more context
-    });
+// Ask questions (plain JSON or streamed over SSE)
+app.use("/chat", requireAuth, chatRouter);
 
-    // Get relevant documents: Get the vector data from qdrant db based on the user query.
-    const relevantDocs = await retriever.invoke(userQuery);
-
-    // Prepare context from retrieved documents
-    const context = relevantDocs
-      .map((doc, index) => `Document ${index + 1}:\n${doc.pageContent}`)
-      .join("\n\n---\n\n");
-
-    // Create the system prompt
-    const systemPrompt = `You are a helpful AI assistant that answers questions based on PDF document content.
-
-Instructions:
-- Answer the user's question using ONLY the provided context from the PDF documents
-- If the answer is not in the context, clearly state that the information is not available in the provided documents
-- Be concise but comprehensive in your responses
-- Maintain a professional and helpful tone
-
-Context from PDF documents:
-${context}`;
-
-    // Get response from Gemini
-    const response = await llm.invoke([
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-      {
-        role: "user",
-        content: userQuery,
-      },
-    ]);
-
-    // Send response back to client
-    return res.json({
-      message: response.content,
-      sources: relevantDocs.length,
-      model: "gemini-1.5-flash",
-    });
-  } catch (error) {
-    console.error("Chat error:", error);
+// OpenAI-compatible chat completions and model list over the same pipeline
+app.use("/v1", requireAuth, openaiRouter);
 
-    // Handle specific Gemini API errors
-    if (error.message?.includes("quota")) {
-      return res.status(429).json({
-        error: "API quota exceeded. Please try again later.",
-      });
-    }
+// Reload or forget past conversations
+app.use("/conversations", requireAuth, conversationsRouter);
 
-    if (error.message?.includes("API key")) {
-      return res.status(401).json({
-        error: "Invalid API key. Please check your Google API key.",
-      });
-    }
+// Inspect and retry ingestion jobs that failed for good (ADMIN_USER_IDS)
+app.use("/admin", requireAuth, requireAdmin, adminRouter);
 
-    return res.status(500).json({
-      error: "Failed to process chat request",
-      details: error.message,
-    });
-  }
+//==================================================
+// Health check endpoint: status of every provider
+//==================================================
+app.get("/health", async (req, res) => {
+  const providers = await checkHealth();
+  const healthy = providers[config.llm.provider]?.status === "connected";
+
+  return res.status(healthy ? 200 : 500).json({
+    status: healthy ? "healthy" : "unhealthy",
+    defaultProvider: config.llm.provider,
+    providers,
+  });
 });
 
 //==================================================
-// Health check endpoint for Gemini
+// Endpoint to list the models each provider offers
 //==================================================
-app.get("/health", async (req, res) => {
+app.get("/models", async (req, res) => {
   try {
-    // Test Gemini connection
-    const testResponse = await llm.invoke("Say 'Hello' if you're working");
-
     return res.json({
-      status: "healthy",
-      gemini: "connected",
-      response: testResponse.content,
+      currentProvider: config.llm.provider,
+      currentModel:
+        config.llm.model || getProvider(config.llm.provider)?.defaultModel,
+      providers: await listModels(),
     });
   } catch (error) {
-    return res.status(500).json({
-      status: "unhealthy",
-      gemini: "disconnected",
-      error: error.message,
-    });
+    return res.status(500).json({ error: error.message });
   }
 });
 
-app.listen(8000, () => {
-  console.log(`🚀 Server started on PORT: 8000`);
-  console.log(`🤖 Using Google Gemini AI`);
-  console.log(`📊 Health check: http://localhost:8000/health`);
+//==================================================
+// Endpoint to list the prompt templates a request can pick
+//==================================================
+app.get("/prompts", (req, res) => {
+  return res.json({
+    defaultTemplate: config.prompts.template,
+    defaultLanguage: config.prompts.language,
+    templates: listPrompts(),
+  });
+});
+
+app.listen(config.port, () => {
+  console.log(`🚀 Server started on PORT: ${config.port}`);
+  console.log(`🤖 Default LLM provider: ${config.llm.provider}`);
+  try {
+    console.log(`🔐 Auth: ${getVerifier().label}`);
+    if (config.auth.verifier === "local") {
+      console.warn(
+        "⚠️ AUTH_VERIFIER=local trusts any token; never use it in production"
+      );
+    }
+  } catch (error) {
+    console.error(`🚨 ${error.message}; authenticated routes will answer 500`);
+  }
+  console.log(`📊 Health check: http://localhost:${config.port}/health`);
+  console.log(`🔧 Models endpoint: http://localhost:${config.port}/models`);
+
+  // Documents and conversations stored before each owner had an index
+  Promise.all([indexDocumentsByOwner(), indexConversationsByOwner()]).catch(
+    (error) => console.error("🚨 Could not index records by owner:", error)
+  );
 });
@@ -0,0 +1,187 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import { enqueueIngestion } from "./queue.js";
+import {
+  createDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  claimContentHash,
+  releaseContentHash,
+} from "./documents.js";
+import { deleteDocumentChunks } from "./vectorstore.js";
+import { invalidateAnswers } from "./answercache.js";
+import { hasChunkingOptions, parseChunkingOptions } from "./chunking.js";
+import { detectFileType, getLoader, listLoaders } from "./loaders/index.js";
+import { hashFile } from "./hashing.js";
+import { sanitizeFilename, validateUpload } from "./validation.js";
+import { config } from "./config.js";
+import { HttpError } from "./errors.js";
+
+// ===================================================
+// Adding documents to the index and removing them
+// ===================================================
+// Shared by the upload and document routes and by cli.js, so a file
+// ingested from the command line is deduplicated, versioned and queued
+// exactly like one uploaded through the app.
+
+export const unsupportedType = (file) =>
+  new HttpError(
+    415,
+    `Unsupported file type: ${sanitizeFilename(file.originalname)}`,
+    {
+      code: "unsupported_type",
+      supported: listLoaders().flatMap((loader) => loader.extensions),
+    }
+  );
+
+export const fileTooLarge = () =>
+  new HttpError(
+    413,
+    `The file is larger than ${config.upload.maxFileSizeMb} MB`,
+    { code: "file_too_large", maxFileSizeMb: config.upload.maxFileSizeMb }
+  );
+
+// Name under uploads/ for a new file: unique, keeps the original name
+export const storedFilename = (originalname) =>
+  `${Date.now()}-${Math.round(Math.random() * 1e9)}-${sanitizeFilename(
+    originalname
+  )}`;
+
+export const isIndexing = (document) =>
+  document.status === "queued" || document.status === "processing";
+
+// The same bytes as `document`: nothing to queue, embed or keep
+async function duplicateOf(document, file, label) {
+  await fs.rm(file.path, { force: true });
+  console.log(`♻️ Duplicate upload of ${document.filename}`);
+  return { outcome: "duplicate", document, jobId: document.jobId, label };
+}
+
+// Replace `previous` with the uploaded file as its next version
+async function uploadVersion(
+  previous,
+  file,
+  { fields, type, contentHash, label }
+) {
+  if (isIndexing(previous)) {
+    throw new HttpError(
+      409,
+      `${previous.filename} is still being indexed`,
+      "Upload the new version once indexing has finished"
+    );
+  }
+
+  // The worker only embeds chunks that changed and drops stale ones
+  const document = await updateDocument(previous.id, {
+    filename: sanitizeFilename(file.originalname),
+    path: file.path,
+    size: file.size,
+    type,
+    contentHash,
+    version: (previous.version ?? 1) + 1,
+    uploadedAt: new Date().toISOString(),
+    chunking: hasChunkingOptions(fields)
+      ? parseChunkingOptions(fields)
+      : previous.chunking,
+  });
+  if (previous.path !== file.path) {
+    await fs.rm(previous.path, { force: true });
+  }
+  await releaseContentHash(previous.ownerId, previous.contentHash, previous.id);
+  await claimContentHash(previous.ownerId, contentHash, previous.id);
+  const jobId = await enqueueIngestion(document);
+  console.log(`🆙 Version ${document.version} of ${document.filename}`);
+  return { outcome: "version", document, jobId, label };
+}
+
+/**
+ * Turn a file stored under uploads/ into a document of `ownerId` and queue
+ * it for indexing. `file` has multer's `{ path, size, originalname }`;
+ * `fields` may hold chunkStrategy, chunkSize, chunkOverlap and documentId
+ * (see routes/upload.js). Resolves with `{ outcome, document, jobId, label }`
+ * where `outcome` is:
+ *   duplicate  the same bytes are already a document (or are the version
+ *              `documentId` already has); nothing is queued and the stored
+ *              file is removed
+ *   version    a new version of document `documentId`, or a new try of
+ *              identical bytes that failed to index; re-indexes what changed
+ *   created    a new document
+ * Throws an HttpError for files that must not be queued; the caller then
+ * removes the stored file.
+ */
+export async function ingestUpload(file, ownerId, fields = {}) {
+  const type = detectFileType(file);
+  if (!type) throw unsupportedType(file);
+  if (file.size > config.upload.maxFileSizeMb * 1024 * 1024) {
+    throw fileTooLarge();
+  }
+  const label = getLoader(type).label;
+
+  // Wrong magic bytes, encrypted or broken PDFs, too many pages
+  await validateUpload(file, type, label);
+
+  const contentHash = await hashFile(file.path);
+  const upload = { fields, type, contentHash, label };
+
+  // Only an explicit documentId makes an upload a new version; a file that
+  // merely has the same name is a document of its own
+  if (fields.documentId) {
+    const previous = await getDocument(fields.documentId, ownerId);
+    if (!previous) throw new HttpError(404, "Document not found");
+    if (previous.contentHash === contentHash && previous.status !== "failed") {
+      return duplicateOf(previous, file, label);
+    }
+    return uploadVersion(previous, file, upload);
+  }
+
+  // Every chunk of this file is tagged with the ID so chats can target it
+  const document = {
+    id: randomUUID(),
+    ownerId,
+    filename: sanitizeFilename(file.originalname),
+    path: file.path,
+    size: file.size,
+    type,
+    contentHash,
+    version: 1,
+    status: "queued",
+    uploadedAt: new Date().toISOString(),
+    chunking: parseChunkingOptions(fields),
+  };
+
+  // Saved only if the owner has no document with these bytes yet
+  let holderId = await createDocument(document);
+  let holder = holderId && (await getDocument(holderId));
+  if (holderId && !holder) {
+    // Reserved by a document that is gone
+    await releaseContentHash(ownerId, contentHash, holderId);
+    holderId = await createDocument(document);
+    holder = holderId && (await getDocument(holderId));
+  }
+  if (!holderId) {
+    const jobId = await enqueueIngestion(document);
+    return { outcome: "created", document, jobId, label };
+  }
+  if (!holder) {
+    throw new HttpError(409, "The same file is being uploaded right now");
+  }
+
+  // The same bytes again: point at the existing document, embed nothing,
+  // unless indexing them failed before
+  return holder.status === "failed"
+    ? uploadVersion(holder, file, upload)
+    : duplicateOf(holder, file, label);
+}
+
+// Delete a document: its Qdrant points, stored file, record and cached answers
+export async function removeDocument(document) {
+  await deleteDocumentChunks(document.id);
+  await fs.rm(document.path, { force: true });
+  await deleteDocument(document.id);
+  await invalidateAnswers({
+    documentId: document.id,
+    ownerId: document.ownerId,
+  });
+  console.log(`🗑️ Deleted document ${document.id} (${document.filename})`);
+}
@@ -0,0 +1,81 @@
+// ===================================================
+// BM25 sparse vectors for keyword search
+// ===================================================
+// Chunks and queries are turned into sparse vectors whose indices are
+// hashed terms. Chunk values carry the BM25 term-frequency part; Qdrant
+// applies the IDF part itself (the collection uses the "idf" modifier),
+// so the dot product Qdrant computes is the BM25 score.
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Rough number of terms in a 1000-character chunk, used for length normalisation
+const AVERAGE_CHUNK_TERMS = 160;
+
+const STOPWORDS = new Set(
+  `a an and are as at be but by for from has have if in into is it its of on or
+  that the their then there these this to was were what when where which who will
+  with would you your`.split(/\s+/)
+);
+
+// Words plus compound identifiers such as "XJ-200", "7.2.1" or "SLA_v2"
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-./_:][\p{L}\p{N}]+)*/gu;
+const SEPARATORS = /[-./_:]/;
+
+const keep = (term) =>
+  !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term));
+
+/**
+ * Lowercased terms of a text. Compound identifiers are kept whole and also
+ * split into their parts, so "XJ-200" matches both "XJ-200" and "XJ 200".
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const [token] of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const parts = token.split(SEPARATORS);
+    if (parts.length > 1) terms.push(token);
+    terms.push(...parts.filter(keep));
+  }
+  return terms;
+}
+
+// FNV-1a: a stable 32-bit index per term, shared by the worker and the API
+function termIndex(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function countTerms(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    const index = termIndex(term);
+    counts.set(index, (counts.get(index) ?? 0) + 1);
+  }
+  return counts;
+}
+
+const toSparse = (entries) => ({
+  indices: entries.map(([index]) => index),
+  values: entries.map(([, value]) => value),
+});
+
+// Sparse vector of a chunk with BM25-saturated term frequencies
+export function chunkSparseVector(text) {
+  const terms = tokenize(text);
+  const lengthNorm = 1 - B + (B * terms.length) / AVERAGE_CHUNK_TERMS;
+  return toSparse(
+    [...countTerms(terms)].map(([index, tf]) => [
+      index,
+      (tf * (K1 + 1)) / (tf + K1 * lengthNorm),
+    ])
+  );
+}
+
+// Sparse vector of a query: plain term counts
+export function querySparseVector(text) {
+  return toSparse([...countTerms(tokenize(text))]);
+}
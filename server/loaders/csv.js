@@ -0,0 +1,56 @@
+import { CSVLoader } from "@langchain/community/document_loaders/fs/csv";
+import { Document } from "@langchain/core/documents";
+
+// ===================================================
+// CSV: consecutive rows grouped into documents (metadata.loc.rows)
+// ===================================================
+// CSVLoader turns each row into "column: value" lines. A document per row
+// would embed thousands of tiny chunks, so rows are grouped up to a size
+// and keep the range of row numbers they came from.
+const GROUP_LENGTH = 1000;
+
+export const csvLoader = {
+  type: "csv",
+  label: "CSV",
+  extensions: [".csv"],
+  mimeTypes: ["text/csv", "application/csv"],
+  contentType: "text/plain; charset=utf-8",
+  inline: true,
+
+  async load(filePath) {
+    const rows = await new CSVLoader(filePath).load();
+    const groups = [];
+    let group = [];
+
+    const flush = () => {
+      if (group.length === 0) return;
+      groups.push(
+        new Document({
+          pageContent: group.map((row) => row.pageContent).join("\n\n"),
+          metadata: {
+            source: filePath,
+            loc: {
+              rows: {
+                from: group[0].metadata.line ?? 1,
+                to: group.at(-1).metadata.line ?? 1,
+              },
+            },
+          },
+        })
+      );
+      group = [];
+    };
+
+    let length = 0;
+    for (const row of rows) {
+      if (length + row.pageContent.length > GROUP_LENGTH) {
+        flush();
+        length = 0;
+      }
+      group.push(row);
+      length += row.pageContent.length;
+    }
+    flush();
+    return groups;
+  },
+};
@@ -0,0 +1,24 @@
+import mammoth from "mammoth";
+import { htmlSections, sectionDocuments } from "./html.js";
+
+// ===================================================
+// Word (DOCX): one document per heading section (metadata.section)
+// ===================================================
+// mammoth maps Word's Heading styles to <h1>-<h6>, so the HTML sectioning
+// finds the same headings a reader sees.
+export const docxLoader = {
+  type: "docx",
+  label: "Word",
+  extensions: [".docx"],
+  mimeTypes: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  contentType:
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  inline: false,
+
+  async load(filePath) {
+    const { value: html } = await mammoth.convertToHtml({ path: filePath });
+    return sectionDocuments(htmlSections(html), filePath);
+  },
+};
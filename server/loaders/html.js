@@ -0,0 +1,90 @@
+import fs from "node:fs/promises";
+import { Document } from "@langchain/core/documents";
+import { parse } from "node-html-parser";
+
+// ===================================================
+// HTML: one document per heading section (metadata.section)
+// ===================================================
+const HEADING = /^h[1-6]$/;
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "br", "dd", "div", "dl", "dt",
+  "figcaption", "footer", "header", "hr", "li", "main", "ol", "p", "pre",
+  "section", "table", "tbody", "thead", "tr", "ul",
+]);
+const CELL_TAGS = new Set(["td", "th"]);
+
+const squash = (text) => text.replace(/\s+/g, " ");
+
+/**
+ * Readable text of an HTML document, cut at its headings. Scripts and
+ * styles are dropped, block elements become lines and table cells are
+ * separated by " | ". Shared with the DOCX loader.
+ */
+export function htmlSections(html) {
+  const root = parse(html);
+  root
+    .querySelectorAll("script, style, noscript, template")
+    .forEach((node) => node.remove());
+
+  const sections = [];
+  let current = { title: null, lines: [""] };
+  const write = (text) => {
+    current.lines[current.lines.length - 1] += text;
+  };
+  const newLine = () => current.lines.push("");
+
+  const visit = (node) => {
+    // Text node; .text decodes entities
+    if (node.nodeType === 3) {
+      write(squash(node.text));
+      return;
+    }
+
+    const tag = node.rawTagName?.toLowerCase();
+    if (HEADING.test(tag)) {
+      sections.push(current);
+      const title = squash(node.text).trim();
+      current = { title, lines: [title, ""] };
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) newLine();
+    node.childNodes.forEach(visit);
+    if (CELL_TAGS.has(tag)) write(" | ");
+    if (block) newLine();
+  };
+  visit(root);
+  sections.push(current);
+
+  return sections
+    .map(({ title, lines }) => ({
+      section: title,
+      text: lines
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join("\n"),
+    }))
+    .filter(({ text }) => text);
+}
+
+export const sectionDocuments = (sections, source) =>
+  sections.map(
+    ({ section, text }) =>
+      new Document({ pageContent: text, metadata: { source, section } })
+  );
+
+export const htmlLoader = {
+  type: "html",
+  label: "HTML",
+  extensions: [".html", ".htm"],
+  mimeTypes: ["text/html"],
+  // Shown as source, never rendered: uploaded markup must not run scripts
+  contentType: "text/plain; charset=utf-8",
+  inline: true,
+
+  async load(filePath) {
+    const html = await fs.readFile(filePath, "utf8");
+    return sectionDocuments(htmlSections(html), filePath);
+  },
+};
@@ -0,0 +1,54 @@
+import path from "node:path";
+import { pdfLoader } from "./pdf.js";
+import { docxLoader } from "./docx.js";
+import { textLoader } from "./text.js";
+import { markdownLoader } from "./markdown.js";
+import { htmlLoader } from "./html.js";
+import { csvLoader } from "./csv.js";
+
+// ===================================================
+// File type registry used by the upload route and worker
+// ===================================================
+// A loader is a plain object with:
+//   type, label
+//   extensions, mimeTypes   -> how uploads are recognised
+//   contentType, inline     -> how GET /documents/:id/file serves the file
+//   load(filePath, { onProgress })
+//                           -> LangChain Documents whose metadata locates
+//                              the text (loc.pageNumber, section, loc.rows);
+//                              onProgress({ stage, ... }) reports long steps
+//                              such as OCR
+const loaders = new Map();
+
+export function registerLoader(loader) {
+  loaders.set(loader.type, loader);
+}
+
+[pdfLoader, docxLoader, textLoader, markdownLoader, htmlLoader, csvLoader].forEach(
+  registerLoader
+);
+
+export function listLoaders() {
+  return [...loaders.values()];
+}
+
+// Documents uploaded before other formats were supported are PDFs
+export function getLoader(type = "pdf") {
+  const loader = loaders.get(type);
+  if (!loader) throw new Error(`Unsupported file type: ${type}`);
+  return loader;
+}
+
+/**
+ * The file type of an upload, from its extension or else its MIME type.
+ * Returns null for formats we cannot ingest.
+ */
+export function detectFileType({ originalname, mimetype }) {
+  const extension = path.extname(originalname ?? "").toLowerCase();
+  const loader =
+    listLoaders().find((candidate) =>
+      candidate.extensions.includes(extension)
+    ) ??
+    listLoaders().find((candidate) => candidate.mimeTypes.includes(mimetype));
+  return loader?.type ?? null;
+}
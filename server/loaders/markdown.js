@@ -0,0 +1,53 @@
+import fs from "node:fs/promises";
+import { Document } from "@langchain/core/documents";
+
+// ===================================================
+// Markdown: one document per heading section (metadata.section)
+// ===================================================
+const HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Cut Markdown at its ATX headings ("## Setup"). Lines inside fenced code
+ * blocks are never treated as headings.
+ */
+export function markdownSections(markdown) {
+  const sections = [];
+  let current = { section: null, lines: [] };
+  let inFence = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(HEADING);
+    if (heading) {
+      sections.push(current);
+      current = { section: heading[1], lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ section, lines }) => ({ section, text: lines.join("\n").trim() }))
+    .filter(({ text }) => text);
+}
+
+export const markdownLoader = {
+  type: "markdown",
+  label: "Markdown",
+  extensions: [".md", ".markdown"],
+  mimeTypes: ["text/markdown", "text/x-markdown"],
+  contentType: "text/plain; charset=utf-8",
+  inline: true,
+
+  async load(filePath) {
+    const markdown = await fs.readFile(filePath, "utf8");
+    return markdownSections(markdown).map(
+      ({ section, text }) =>
+        new Document({
+          pageContent: text,
+          metadata: { source: filePath, section },
+        })
+    );
+  },
+};
@@ -0,0 +1,71 @@
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import { Document } from "@langchain/core/documents";
+import { config } from "../config.js";
+import {
+  countPdfPages,
+  needsOcr,
+  ocrPdfPages,
+  textLength,
+} from "../ocr.js";
+
+// ===================================================
+// PDF: one document per page (metadata.loc.pageNumber)
+// ===================================================
+// Pages without a usable text layer are OCR'd; their documents carry
+// metadata.ocr = true and metadata.ocrConfidence. Every page is returned,
+// even when no text was found, so the worker can report on all of them.
+export const pdfLoader = {
+  type: "pdf",
+  label: "PDF",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+  contentType: "application/pdf",
+  inline: true,
+
+  async load(filePath, { onProgress } = {}) {
+    // PDFLoader skips pages that have no text items at all
+    const loaded = await new PDFLoader(filePath).load();
+    const byNumber = new Map(
+      loaded.map((page) => [page.metadata.loc.pageNumber, page])
+    );
+    const totalPages =
+      loaded[0]?.metadata.pdf.totalPages ?? (await countPdfPages(filePath));
+
+    const pages = Array.from({ length: totalPages }, (_, index) => {
+      const pageNumber = index + 1;
+      return (
+        byNumber.get(pageNumber) ??
+        new Document({
+          pageContent: "",
+          metadata: { source: filePath, loc: { pageNumber } },
+        })
+      );
+    });
+
+    const blank = pages
+      .filter((page) => needsOcr(page.pageContent))
+      .map((page) => page.metadata.loc.pageNumber);
+    if (!config.ocr.enabled || blank.length === 0) return pages;
+
+    console.log(`🔎 Running OCR on ${blank.length} page(s) without text`);
+    const recognized = await ocrPdfPages(filePath, blank, {
+      onPage: (done, total) => onProgress?.({ stage: "ocr", done, total }),
+    });
+
+    return pages.map((page) => {
+      const ocr = recognized.get(page.metadata.loc.pageNumber);
+      // Keep the text layer when OCR did not find more
+      if (!ocr || textLength(ocr.text) <= textLength(page.pageContent)) {
+        return page;
+      }
+      return new Document({
+        pageContent: ocr.text,
+        metadata: {
+          ...page.metadata,
+          ocr: true,
+          ocrConfidence: Math.round(ocr.confidence),
+        },
+      });
+    });
+  },
+};
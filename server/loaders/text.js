@@ -0,0 +1,17 @@
+import { TextLoader } from "langchain/document_loaders/fs/text";
+
+// ===================================================
+// Plain text: a single document; the splitter adds loc.lines to each chunk
+// ===================================================
+export const textLoader = {
+  type: "text",
+  label: "Text",
+  extensions: [".txt", ".text", ".log"],
+  mimeTypes: ["text/plain"],
+  contentType: "text/plain; charset=utf-8",
+  inline: true,
+
+  load(filePath) {
+    return new TextLoader(filePath).load();
+  },
+};
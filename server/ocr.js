@@ -0,0 +1,104 @@
+import fs from "node:fs/promises";
+import { createWorker } from "tesseract.js";
+import engData from "@tesseract.js-data/eng";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { config } from "./config.js";
+
+// ===================================================
+// OCR fallback for scanned PDF pages
+// ===================================================
+// Pages are rendered with pdf.js and read by tesseract.js. The language
+// data ships with the @tesseract.js-data packages, so nothing is fetched
+// from the network.
+
+// Non-whitespace characters on a page
+export const textLength = (text) => text.replace(/\s+/g, "").length;
+
+// Pages with (almost) no text layer: scans, photos, image-only slides
+export const needsOcr = (text) => textLength(text) < config.ocr.minChars;
+
+const openPdf = async (filePath) =>
+  getDocument({
+    data: new Uint8Array(await fs.readFile(filePath)),
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+export async function countPdfPages(filePath) {
+  const pdf = await openPdf(filePath);
+  try {
+    return pdf.numPages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Recognise the text of some pages of a PDF. One tesseract worker reads
+ * the pages one after another; `onPage(done, total)` follows along.
+ * Resolves with a Map of page number -> { text, confidence (0-100) }.
+ */
+export async function ocrPdfPages(filePath, pageNumbers, { onPage } = {}) {
+  const pdf = await openPdf(filePath);
+  const worker = await createWorker(config.ocr.language, undefined, {
+    langPath: config.ocr.langPath || engData.langPath,
+    gzip: true,
+    // Read the bundled data in place instead of caching a copy in the cwd
+    cacheMethod: "none",
+  });
+
+  const results = new Map();
+  try {
+    for (const [index, pageNumber] of pageNumbers.entries()) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: config.ocr.scale });
+      const { canvas, context } = pdf.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+      const { data } = await worker.recognize(canvas.toBuffer("image/png"));
+      results.set(pageNumber, { text: data.text, confidence: data.confidence });
+      page.cleanup();
+      await onPage?.(index + 1, pageNumbers.length);
+    }
+  } finally {
+    await worker.terminate();
+    await pdf.destroy();
+  }
+  return results;
+}
+
+// Recognised text below this confidence is flagged as low quality
+const LOW_CONFIDENCE = 60;
+
+/**
+ * Per-page extraction quality of loaded PDF pages, for the job result:
+ * how the text was obtained (text layer, OCR or not at all), how much was
+ * found and, for OCR, how sure tesseract was.
+ */
+export function extractionReport(pages) {
+  return pages
+    .filter((page) => page.metadata.loc?.pageNumber)
+    .map((page) => {
+      const chars = textLength(page.pageContent);
+      const method = page.metadata.ocr ? "ocr" : chars > 0 ? "text" : "none";
+      const confidence = page.metadata.ocrConfidence ?? null;
+      let quality = "good";
+      if (chars === 0) quality = "empty";
+      else if (
+        chars < config.ocr.minChars ||
+        (confidence !== null && confidence < LOW_CONFIDENCE)
+      ) {
+        quality = "low";
+      }
+      return {
+        page: page.metadata.loc.pageNumber,
+        method,
+        chars,
+        confidence,
+        quality,
+      };
+    });
+}
@@ -0,0 +1,155 @@
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+
+// ===================================================
+// Prompt template registry
+// ===================================================
+// Templates are named, versioned entries of a JSON file:
+//   "<name>": { "version", "description", "system", "user" }
+// `system` and `user` are strings (or arrays of lines) with {{variables}}:
+//   context   the numbered sources, "[1] report.pdf, page 4\n<text>", ...
+//   question  the user's question
+//   history   the earlier turns as "User: ..." / "Assistant: ..." lines
+//   language  what to answer in (?language= or PROMPT_LANGUAGE)
+// `user` defaults to "{{question}}". Earlier turns are sent as chat
+// messages between the two, unless the template places {{history}} itself.
+// The context belongs in `system`: text-generation providers and the local
+// one only read the system message and the question.
+//
+// The built-in templates are in templates.json; PROMPT_TEMPLATES_FILE adds
+// more, or replaces built-ins of the same name. The version is recorded with
+// every answer, so bump it whenever a template's wording changes.
+const VARIABLES = ["context", "question", "history", "language"];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const BUILT_IN_FILE = fileURLToPath(new URL("templates.json", import.meta.url));
+// Longer ?language= values are refused, it is not a place for instructions
+const MAX_LANGUAGE_LENGTH = 50;
+
+const joinLines = (value) => (Array.isArray(value) ? value.join("\n") : value);
+
+const variablesOf = (text) =>
+  [...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+
+function parseTemplate(name, entry, file) {
+  const invalid = (problem) =>
+    new Error(`Prompt template "${name}" in ${file} ${problem}`);
+
+  if (typeof entry?.version !== "string" && !Number.isInteger(entry?.version)) {
+    throw invalid("needs a version (a string or an integer)");
+  }
+  const template = {
+    name,
+    version: entry.version,
+    description: entry.description ?? "",
+    system: joinLines(entry.system),
+    user: joinLines(entry.user ?? "{{question}}"),
+  };
+  for (const part of ["system", "user"]) {
+    if (typeof template[part] !== "string") {
+      throw invalid(`needs ${part} as a string or an array of lines`);
+    }
+  }
+
+  const used = variablesOf(`${template.system}\n${template.user}`);
+  const unknown = used.find((variable) => !VARIABLES.includes(variable));
+  if (unknown) {
+    throw invalid(
+      `uses an unknown variable {{${unknown}}} (available: ${VARIABLES.join(", ")})`
+    );
+  }
+  for (const required of ["context", "question"]) {
+    if (!used.includes(required)) throw invalid(`never uses {{${required}}}`);
+  }
+  template.inlinesHistory = used.includes("history");
+  return template;
+}
+
+function loadTemplates(file) {
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Object.entries(entries).map(([name, entry]) =>
+    parseTemplate(name, entry, file)
+  );
+}
+
+// Read once at startup; a broken templates file stops the server right away
+const templates = new Map();
+for (const file of [BUILT_IN_FILE, config.prompts.file].filter(Boolean)) {
+  for (const template of loadTemplates(file)) {
+    templates.set(template.name, template);
+  }
+}
+if (!templates.has(config.prompts.template)) {
+  throw new Error(`Unknown PROMPT_TEMPLATE: ${config.prompts.template}`);
+}
+
+export function listPrompts() {
+  return [...templates.values()].map(({ name, version, description }) => ({
+    name,
+    version,
+    description,
+  }));
+}
+
+/**
+ * The template named by a request (or PROMPT_TEMPLATE) and the language to
+ * answer in. Throws an HttpError for unknown templates.
+ */
+export function resolvePrompt({ name, language } = {}) {
+  const template = templates.get(name || config.prompts.template);
+  if (!template) {
+    throw new HttpError(400, `Unknown prompt template: ${name}`, {
+      available: [...templates.keys()],
+    });
+  }
+
+  const chosen = typeof language === "string" ? language.trim() : "";
+  if (chosen && chosen.length > MAX_LANGUAGE_LENGTH) {
+    throw new HttpError(
+      400,
+      "Invalid language",
+      `language must be at most ${MAX_LANGUAGE_LENGTH} characters`
+    );
+  }
+  return { template, language: chosen || config.prompts.language };
+}
+
+// What is recorded with an answer: which template, which version
+export const describePrompt = ({ template, language }) => ({
+  name: template.name,
+  version: template.version,
+  language,
+});
+
+// "User: ..." / "Assistant: ..." lines of earlier turns
+export const formatTranscript = (history) =>
+  history
+    .map(
+      (message) =>
+        `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`
+    )
+    .join("\n");
+
+// Chat messages for a question: system, the earlier turns, then the user's
+export function renderPrompt(
+  { template, language },
+  { context, question, history = [] }
+) {
+  const values = {
+    context,
+    question,
+    history: formatTranscript(history),
+    language,
+  };
+  const fill = (text) =>
+    text.replace(VARIABLE_PATTERN, (_, variable) => values[variable]);
+
+  return [
+    { role: "system", content: fill(template.system) },
+    ...(template.inlinesHistory
+      ? []
+      : history.map(({ role, content }) => ({ role, content }))),
+    { role: "user", content: fill(template.user) },
+  ];
+}
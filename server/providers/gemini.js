@@ -0,0 +1,81 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { config } from "../config.js";
+
+// ===================================================
+// Google Gemini provider
+// ===================================================
+const FALLBACK_MODELS = [
+  "gemini-1.5-flash", // Free model with good performance
+  "gemini-1.5-flash-8b",
+  "gemini-1.5-pro",
+  "gemini-2.0-flash",
+];
+
+// Tokens each model family takes in; newer models take a million
+const CONTEXT_WINDOWS = [
+  [/^gemini-1\.5-pro/, 2097152],
+  [/^gemini-(1\.0-)?pro(-vision)?(-\d+)?$/, 32760],
+];
+
+export const geminiProvider = {
+  name: "gemini",
+  label: "Google Gemini",
+  defaultModel: "gemini-1.5-flash",
+
+  isConfigured() {
+    return Boolean(config.google.apiKey);
+  },
+
+  contextWindow(model) {
+    return (
+      CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model))?.[1] ?? 1048576
+    );
+  },
+
+  maxOutputTokens: config.llm.maxOutputTokens,
+
+  createLLM(model, { maxOutputTokens }) {
+    return new ChatGoogleGenerativeAI({
+      apiKey: config.google.apiKey,
+      model,
+      temperature: config.llm.temperature,
+      maxOutputTokens,
+    });
+  },
+
+  // Ask the Generative Language API which models support generateContent
+  async listModels() {
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models?key=${config.google.apiKey}`
+    );
+    if (!response.ok) {
+      throw new Error(`Gemini model list failed with ${response.status}`);
+    }
+    const { models = [] } = await response.json();
+    return models
+      .filter((model) =>
+        model.supportedGenerationMethods?.includes("generateContent")
+      )
+      .map((model) => model.name.replace(/^models\//, ""));
+  },
+
+  fallbackModels: FALLBACK_MODELS,
+
+  describeError(error) {
+    if (error.message?.includes("quota")) {
+      return {
+        status: 429,
+        error: "API quota exceeded. Please try again later.",
+      };
+    }
+
+    if (error.message?.includes("API key")) {
+      return {
+        status: 401,
+        error: "Invalid API key. Please check your Google API key.",
+      };
+    }
+
+    return null;
+  },
+};
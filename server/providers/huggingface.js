@@ -0,0 +1,134 @@
+import { HuggingFaceInference } from "@langchain/community/llms/hf";
+import { config } from "../config.js";
+
+// ===================================================
+// Hugging Face Inference provider (free tier)
+// ===================================================
+// Get an API key from https://huggingface.co/settings/tokens
+const RECOMMENDED_MODELS = {
+  conversational: [
+    "microsoft/DialoGPT-large",
+    "microsoft/DialoGPT-medium",
+    "facebook/blenderbot-3B",
+  ],
+  instruction: ["google/flan-t5-large", "google/flan-t5-xl", "bigscience/T0pp"],
+  chat: [
+    "mistralai/Mistral-7B-Instruct-v0.1",
+    "meta-llama/Llama-2-7b-chat-hf", // requires approval
+    "HuggingFaceH4/zephyr-7b-beta",
+  ],
+};
+
+// Tokens the recommended models take in (prompt and answer); other models
+// are assumed to take DEFAULT_CONTEXT_WINDOW
+const CONTEXT_WINDOWS = {
+  "microsoft/DialoGPT-large": 1024,
+  "microsoft/DialoGPT-medium": 1024,
+  "facebook/blenderbot-3B": 128,
+  "google/flan-t5-large": 512,
+  "google/flan-t5-xl": 512,
+  "bigscience/T0pp": 1024,
+  "mistralai/Mistral-7B-Instruct-v0.1": 8192,
+  "meta-llama/Llama-2-7b-chat-hf": 4096,
+  "HuggingFaceH4/zephyr-7b-beta": 8192,
+};
+const DEFAULT_CONTEXT_WINDOW = 2048;
+const MAX_OUTPUT_TOKENS = 1024;
+
+// Models that use GPT-2's tokenizer
+const GPT2_TOKENIZER = /DialoGPT|blenderbot/i;
+
+export const huggingfaceProvider = {
+  name: "huggingface",
+  label: "Hugging Face Inference",
+  defaultModel: "microsoft/DialoGPT-large",
+
+  // Too small to follow a "rewrite this follow-up" instruction
+  supportsQueryRewrite: false,
+
+  isConfigured() {
+    return Boolean(config.huggingface.apiKey);
+  },
+
+  contextWindow(model) {
+    return CONTEXT_WINDOWS[model] ?? DEFAULT_CONTEXT_WINDOW;
+  },
+
+  maxOutputTokens: MAX_OUTPUT_TOKENS,
+
+  tokenizer(model) {
+    return GPT2_TOKENIZER.test(model) ? "gpt2" : undefined;
+  },
+
+  createLLM(model, { maxOutputTokens }) {
+    return new HuggingFaceInference({
+      model,
+      apiKey: config.huggingface.apiKey,
+      maxTokens: maxOutputTokens,
+      temperature: config.llm.temperature,
+    });
+  },
+
+  // The hosted catalogue is huge, so we only list the models we have tried
+  async listModels() {
+    return Object.values(RECOMMENDED_MODELS).flat();
+  },
+
+  // Text-generation models take one prompt instead of chat messages
+  formatPrompt(messages) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+    const question = messages.findLast((message) => message.role === "user");
+
+    return `${system}
+
+Question: ${question?.content ?? ""}
+
+Answer:`;
+  },
+
+  // Remove the original prompt if it was echoed back
+  cleanResponse(text) {
+    const answerIndex = text.toLowerCase().lastIndexOf("answer:");
+    return answerIndex === -1 ? text : text.substring(answerIndex + 7).trim();
+  },
+
+  describeError(error) {
+    if (
+      error.message?.includes("rate limit") ||
+      error.message?.includes("quota")
+    ) {
+      return {
+        status: 429,
+        error: "Hugging Face API rate limit exceeded. Please try again later.",
+        details: "Free tier has limited requests per hour",
+      };
+    }
+
+    if (
+      error.message?.includes("API key") ||
+      error.message?.includes("authentication")
+    ) {
+      return {
+        status: 401,
+        error: "Invalid Hugging Face API key. Please check your configuration.",
+        details: "Get your API key from https://huggingface.co/settings/tokens",
+      };
+    }
+
+    if (
+      error.message?.includes("model") &&
+      error.message?.includes("loading")
+    ) {
+      return {
+        status: 503,
+        error: "Model is loading. Please try again in a few moments.",
+        details: "Hugging Face models may take time to load on first request",
+      };
+    }
+
+    return null;
+  },
+};
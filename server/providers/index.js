@@ -0,0 +1,241 @@
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+import { geminiProvider } from "./gemini.js";
+import { huggingfaceProvider } from "./huggingface.js";
+import { ollamaProvider } from "./ollama.js";
+import { localProvider } from "./local.js";
+
+// ===================================================
+// LLM provider registry
+// ===================================================
+// A provider is a plain object with:
+//   name, label, defaultModel
+//   isConfigured()          -> whether credentials/settings are present
+//   createLLM(model, { maxOutputTokens })
+//                           -> LangChain chat model or LLM answering with at
+//                              most maxOutputTokens (see answerTokens)
+//   listModels()            -> Promise<string[]> of models it offers
+//   describeError(error)    -> { status, error, details } or null
+// and optionally formatPrompt(messages) / cleanResponse(text) for
+// text-generation models that do not accept chat messages. For fitting the
+// retrieved context to the model (see context.js), a provider may also have:
+//   contextWindow(model)    -> tokens the model takes (prompt and answer)
+//   maxOutputTokens         -> tokens it answers with at most (default
+//                              LLM_MAX_OUTPUT_TOKENS)
+//   tokenizer(model)        -> js-tiktoken encoding closest to the model's
+// Without a context window only CONTEXT_MAX_TOKENS limits the context.
+const providers = new Map();
+// Created LLMs by "provider:model", least recently used first. Requests may
+// name any model, so only this many are kept.
+const llmCache = new Map();
+const MAX_CACHED_LLMS = 20;
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+[geminiProvider, huggingfaceProvider, ollamaProvider, localProvider].forEach(
+  registerProvider
+);
+
+export function getProvider(name) {
+  return providers.get(name);
+}
+
+// Providers enabled through LLM_PROVIDERS, in registration order
+export function listProviders() {
+  return [...providers.values()].filter((provider) =>
+    config.llm.enabledProviders.includes(provider.name)
+  );
+}
+
+/**
+ * Pick the provider and model for a request, falling back to the
+ * configured defaults. Throws an HttpError for unknown or unusable choices.
+ */
+export function resolveLLM({ provider: providerName, model } = {}) {
+  const name = providerName || config.llm.provider;
+  const provider = getProvider(name);
+
+  if (!provider || !config.llm.enabledProviders.includes(name)) {
+    throw new HttpError(400, `Unknown LLM provider: ${name}`, {
+      available: listProviders().map((p) => p.name),
+    });
+  }
+
+  if (!provider.isConfigured()) {
+    throw new HttpError(
+      400,
+      `LLM provider "${name}" is not configured on this server`
+    );
+  }
+
+  const modelName =
+    model ||
+    (name === config.llm.provider && config.llm.model) ||
+    provider.defaultModel;
+
+  return { provider, model: modelName, llm: cachedLLM(provider, modelName) };
+}
+
+function cachedLLM(provider, model) {
+  const cacheKey = `${provider.name}:${model}`;
+  const llm =
+    llmCache.get(cacheKey) ??
+    provider.createLLM(model, {
+      maxOutputTokens: answerTokens(provider, model),
+    });
+  // Re-inserting moves it to the end, the most recently used
+  llmCache.delete(cacheKey);
+  llmCache.set(cacheKey, llm);
+  if (llmCache.size > MAX_CACHED_LLMS) {
+    llmCache.delete(llmCache.keys().next().value);
+  }
+  return llm;
+}
+
+/**
+ * Tokens an answer of `model` may take: the provider's maxOutputTokens, but
+ * no more than a quarter of the model's context window, which context.js
+ * keeps free for it.
+ */
+export function answerTokens(provider, model) {
+  const max = provider.maxOutputTokens ?? config.llm.maxOutputTokens;
+  const window = provider.contextWindow?.(model);
+  return window ? Math.min(max, Math.floor(window / 4)) : max;
+}
+
+const textOf = (content) =>
+  typeof content === "string"
+    ? content
+    : content.map((part) => part.text ?? "").join("");
+
+/**
+ * Run chat messages through a resolved LLM and return the answer text.
+ */
+export async function generate({ provider, llm }, messages) {
+  const input = provider.formatPrompt
+    ? provider.formatPrompt(messages)
+    : messages;
+  const response = await llm.invoke(input);
+  const text =
+    typeof response === "string" ? response : textOf(response.content);
+  return provider.cleanResponse ? provider.cleanResponse(text) : text;
+}
+
+/**
+ * Stream the answer for chat messages, calling onToken for every piece of
+ * text as it arrives. Resolves with the full text and the token usage the
+ * model reported (if it reports any).
+ *
+ * cleanResponse needs the whole answer (an echoed prompt ends at its last
+ * "Answer:"), so providers that have one send it cleaned, as a single
+ * piece once generation is over.
+ */
+export async function streamGenerate(
+  { provider, llm },
+  messages,
+  { signal, onToken } = {}
+) {
+  const input = provider.formatPrompt
+    ? provider.formatPrompt(messages)
+    : messages;
+  const stream = await llm.stream(input, { signal });
+
+  let text = "";
+  let aggregate;
+  for await (const chunk of stream) {
+    const piece = typeof chunk === "string" ? chunk : textOf(chunk.content);
+    if (typeof chunk !== "string") {
+      aggregate = aggregate ? aggregate.concat(chunk) : chunk;
+    }
+    if (piece) {
+      text += piece;
+      if (!provider.cleanResponse) onToken?.(piece);
+    }
+  }
+
+  if (provider.cleanResponse) {
+    text = provider.cleanResponse(text);
+    if (text) onToken?.(text);
+  }
+  return { text, usage: aggregate?.usage_metadata };
+}
+
+// Map a provider failure to the response the client should see
+export function describeProviderError(provider, error) {
+  if (error instanceof HttpError) {
+    return { status: error.status, error: error.message, details: error.details };
+  }
+  return (
+    provider?.describeError(error) ?? {
+      status: 500,
+      error: "Failed to process chat request",
+      details: error.message,
+    }
+  );
+}
+
+// Models each enabled provider offers right now
+export async function listModels() {
+  const entries = await Promise.all(
+    listProviders().map(async (provider) => {
+      const entry = {
+        label: provider.label,
+        configured: provider.isConfigured(),
+        defaultModel: provider.defaultModel,
+        models: [],
+      };
+
+      if (!entry.configured) return [provider.name, entry];
+
+      try {
+        entry.models = await provider.listModels();
+      } catch (error) {
+        entry.models = provider.fallbackModels ?? [];
+        entry.error = error.message;
+      }
+      return [provider.name, entry];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Send a tiny prompt to each configured provider's default model
+export async function checkHealth() {
+  const entries = await Promise.all(
+    listProviders().map(async (provider) => {
+      if (!provider.isConfigured()) {
+        return [provider.name, { status: "not configured" }];
+      }
+
+      try {
+        const resolved = resolveLLM({ provider: provider.name });
+        const response = await withTimeout(
+          generate(resolved, [
+            { role: "user", content: "Say 'Hello' if you're working" },
+          ]),
+          15000
+        );
+        return [
+          provider.name,
+          { status: "connected", model: resolved.model, response },
+        ];
+      } catch (error) {
+        return [
+          provider.name,
+          { status: "disconnected", error: error.message },
+        ];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,139 @@
+import { SimpleChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+// ===================================================
+// Local stand-in provider (offline, deterministic)
+// ===================================================
+// Answers by quoting the context sentences that share the most words with
+// the question. No network and no API key, so it is meant for tests, demos
+// and CI rather than real use.
+const STOP_WORDS = new Set(
+  "a an and are as at be by can do does for from how i in is it of on or the this to was what when where which who why with you your".split(
+    " "
+  )
+);
+
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+const contentOf = (message) =>
+  typeof message.content === "string"
+    ? message.content
+    : message.content.map((part) => part.text ?? "").join("");
+
+// "[2] report.pdf, page 4" headings that number the context sources
+const SOURCE_HEADING = /^\[(\d+)\]/;
+
+// Sentences of the retrieved context, each with the source number it came from
+function contextSentences(system) {
+  const lines = system.split("\n");
+  let start = lines.findIndex((line) => SOURCE_HEADING.test(line));
+  if (start === -1) {
+    // Only quote from the retrieved context, not from the instructions
+    const contextLine = lines.findLastIndex((line) => /context/i.test(line));
+    start = contextLine + 1;
+  }
+
+  const sentences = [];
+  let source = null;
+  for (const line of lines.slice(start)) {
+    const heading = line.match(SOURCE_HEADING);
+    if (heading) {
+      source = Number(heading[1]);
+      continue;
+    }
+    for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+      if (sentence.trim().length > 20) {
+        sentences.push({ sentence: sentence.trim(), source });
+      }
+    }
+  }
+  return sentences;
+}
+
+export class LocalChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model ?? "local-extractive";
+    this.maxSentences = fields.maxSentences ?? 2;
+  }
+
+  _llmType() {
+    return "local";
+  }
+
+  async _call(messages) {
+    const system = messages
+      .filter((message) => message._getType() === "system")
+      .map(contentOf)
+      .join("\n");
+    const question = contentOf(messages[messages.length - 1]);
+
+    const questionWords = new Set(tokenize(question));
+    const sentences = contextSentences(system);
+
+    const ranked = sentences
+      .map(({ sentence, source }, index) => ({
+        sentence,
+        source,
+        index,
+        score: tokenize(sentence).filter((word) => questionWords.has(word))
+          .length,
+      }))
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, this.maxSentences)
+      .sort((a, b) => a.index - b.index);
+
+    if (ranked.length === 0) {
+      return "The information is not available in the provided documents.";
+    }
+
+    return ranked
+      .map(({ sentence, source }) =>
+        source ? `${sentence} [${source}]` : sentence
+      )
+      .join(" ");
+  }
+
+  // Emit the answer word by word so streaming clients can be exercised offline
+  async *_streamResponseChunks(messages, options, runManager) {
+    const answer = await this._call(messages, options, runManager);
+    for (const piece of answer.match(/\S+\s*/g) ?? []) {
+      yield new ChatGenerationChunk({
+        text: piece,
+        message: new AIMessageChunk({ content: piece }),
+      });
+      await runManager?.handleLLMNewToken(piece);
+    }
+  }
+}
+
+export const localProvider = {
+  name: "local",
+  label: "Local stand-in (offline)",
+  defaultModel: "local-extractive",
+
+  // Too small to follow a "rewrite this follow-up" instruction
+  supportsQueryRewrite: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  createLLM(model) {
+    return new LocalChatModel({ model });
+  },
+
+  async listModels() {
+    return ["local-extractive"];
+  },
+
+  describeError() {
+    return null;
+  },
+};
@@ -0,0 +1,75 @@
+import { ChatOllama } from "@langchain/ollama";
+import { config } from "../config.js";
+
+// ===================================================
+// Ollama provider (local & free)
+// ===================================================
+// Install Ollama on your machine: https://ollama.ai/
+// ollama pull llama3.1: download a model
+// ollama list: for list of models
+// ollama rm <model_name>: to remove a model
+const MAX_OUTPUT_TOKENS = 1024;
+
+export const ollamaProvider = {
+  name: "ollama",
+  label: "Ollama",
+  defaultModel: "llama3.1",
+
+  // Ollama needs no key; whether it is running is reported by /health
+  isConfigured() {
+    return true;
+  },
+
+  // Whatever the model supports, Ollama only gives it OLLAMA_NUM_CTX tokens
+  contextWindow() {
+    return config.ollama.numCtx;
+  },
+
+  maxOutputTokens: MAX_OUTPUT_TOKENS,
+
+  createLLM(model, { maxOutputTokens }) {
+    return new ChatOllama({
+      baseUrl: config.ollama.baseUrl,
+      model,
+      temperature: config.llm.temperature,
+      numCtx: config.ollama.numCtx,
+      numPredict: maxOutputTokens,
+    });
+  },
+
+  // Only models that have been pulled locally can be used
+  async listModels() {
+    const response = await fetch(`${config.ollama.baseUrl}/api/tags`);
+    if (!response.ok) {
+      throw new Error(`Ollama model list failed with ${response.status}`);
+    }
+    const { models = [] } = await response.json();
+    return models.map((model) => model.name);
+  },
+
+  describeError(error) {
+    if (
+      error.message?.includes("ECONNREFUSED") ||
+      error.message?.includes("fetch failed")
+    ) {
+      return {
+        status: 503,
+        error: "Ollama service is not running. Please start Ollama first.",
+        details: "Run 'ollama serve' in your terminal",
+      };
+    }
+
+    if (
+      error.message?.includes("model") &&
+      error.message?.includes("not found")
+    ) {
+      return {
+        status: 404,
+        error: "Model not found. Please pull the model first.",
+        details: "Run 'ollama pull <model-name>' in your terminal",
+      };
+    }
+
+    return null;
+  },
+};
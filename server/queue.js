@@ -0,0 +1,138 @@
+import { Queue, QueueEvents } from "bullmq";
+import { config } from "./config.js";
+import { updateDocument } from "./documents.js";
+
+// ===================================================
+// Ingestion queue shared by the API server (producer)
+// and worker.js (consumer)
+// ===================================================
+export const QUEUE_NAME = "file-upload-queue";
+
+export const queue = new Queue(QUEUE_NAME, {
+  connection: config.redis,
+});
+
+/**
+ * Ask the worker to (re)index a stored document. The job ID is recorded on
+ * the document before the job exists, so the worker never races the write.
+ * Rate-limited jobs are retried with exponential backoff (see worker.js).
+ * Resolves with the job ID to poll at GET /jobs/:id.
+ */
+export async function enqueueIngestion({
+  id,
+  ownerId,
+  filename,
+  path,
+  type,
+  chunking,
+}) {
+  const jobId = `${id}-${Date.now()}`;
+  await updateDocument(id, { status: "queued", error: null, jobId });
+
+  await queue.add(
+    "file-ready",
+    JSON.stringify({
+      documentId: id,
+      ownerId,
+      filename,
+      path,
+      type,
+      chunking,
+    }),
+    {
+      jobId,
+      attempts: config.ingestion.attempts,
+      backoff: { type: "exponential", delay: config.ingestion.backoffMs },
+    }
+  );
+  return jobId;
+}
+
+/**
+ * Wait for ingestion jobs to finish, for scripts that enqueue without the
+ * API (eval/). Resolves with `{ jobId, result }` or `{ jobId, error }` per
+ * job, in order, and calls `onSettled` with each as it comes in. A job
+ * still running after `timeoutMs` counts as failed. Needs a running worker.
+ */
+export async function waitForIngestion(jobIds, { timeoutMs, onSettled } = {}) {
+  const events = new QueueEvents(QUEUE_NAME, { connection: config.redis });
+  try {
+    await events.waitUntilReady();
+    return await Promise.all(
+      jobIds.map(async (jobId) => {
+        let outcome;
+        try {
+          const job = await queue.getJob(jobId);
+          if (!job) throw new Error("Job not found");
+          outcome = {
+            jobId,
+            result: await job.waitUntilFinished(events, timeoutMs),
+          };
+        } catch (error) {
+          outcome = { jobId, error: error.message };
+        }
+        onSettled?.(outcome);
+        return outcome;
+      })
+    );
+  } finally {
+    await events.close();
+  }
+}
+
+// ===================================================
+// Dead-letter queue
+// ===================================================
+// Jobs that failed for good (out of attempts, or not worth retrying) are
+// copied here by the worker. Nothing consumes this queue: its jobs wait
+// until an admin retries or discards them through /admin/dead-letters.
+export const DEAD_LETTER_QUEUE_NAME = "file-upload-dead-letter";
+
+export const deadLetterQueue = new Queue(DEAD_LETTER_QUEUE_NAME, {
+  connection: config.redis,
+});
+
+// Park a permanently failed ingestion job under its original job ID
+export async function sendToDeadLetter(job, error) {
+  await deadLetterQueue.add(
+    "dead-letter",
+    {
+      jobId: job.id,
+      data: JSON.parse(job.data),
+      failedReason: error.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date(job.finishedOn ?? Date.now()).toISOString(),
+    },
+    { jobId: job.id }
+  );
+}
+
+const describeDeadLetter = (job) => ({
+  id: job.id,
+  documentId: job.data.data.documentId,
+  ownerId: job.data.data.ownerId ?? null,
+  filename: job.data.data.filename,
+  failedReason: job.data.failedReason,
+  attemptsMade: job.data.attemptsMade,
+  failedAt: job.data.failedAt,
+});
+
+// Newest first
+export async function listDeadLetters() {
+  const jobs = await deadLetterQueue.getWaiting();
+  return jobs
+    .map(describeDeadLetter)
+    .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+export async function getDeadLetter(id) {
+  const job = await deadLetterQueue.getJob(id);
+  return job ? { ...describeDeadLetter(job), data: job.data.data } : null;
+}
+
+export async function removeDeadLetter(id) {
+  const job = await deadLetterQueue.getJob(id);
+  if (!job) return false;
+  await job.remove();
+  return true;
+}
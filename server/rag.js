@@ -0,0 +1,361 @@
+import { config } from "./config.js";
+import { HttpError } from "./errors.js";
+import {
+  openVectorStore,
+  keywordSearch,
+  documentFilter,
+} from "./vectorstore.js";
+import { generate } from "./providers/index.js";
+import { getReranker, rerank } from "./rerankers/index.js";
+import {
+  createConversation,
+  getConversation,
+  getMessages,
+  appendMessages,
+} from "./conversations.js";
+import { findCachedAnswer } from "./answercache.js";
+import { fuseRankings } from "./fusion.js";
+import {
+  assembleContext,
+  formatContext,
+  documentName,
+  describeLocation,
+} from "./context.js";
+import {
+  resolvePrompt,
+  describePrompt,
+  renderPrompt,
+  formatTranscript,
+} from "./prompts/index.js";
+
+// ===================================================
+// Retrieve-then-generate pipeline shared by /chat routes
+// ===================================================
+
+// Candidates fetched from each index before fusing, per requested chunk
+const CANDIDATES_PER_RESULT = 4;
+const MIN_CANDIDATES = 20;
+// Largest k and rerank candidate count a request may ask for
+const MAX_K = 20;
+const MAX_CANDIDATES = 50;
+
+// Fetch one ranked list, or none at all when its fusion weight is 0
+const rankedBy = (weight, search) => (weight > 0 ? search() : []);
+
+/**
+ * Hybrid retrieval: dense (embedding) search and BM25 keyword search over
+ * the same chunks (only `ownerId`'s when given, and only those of
+ * `documentIds` when not empty), merged with weighted reciprocal rank
+ * fusion. Each returned document carries its fused `score` (1 means ranked
+ * first by every search used) plus the raw `denseScore` (cosine similarity)
+ * and `keywordScore` (BM25), null when that search did not find it.
+ */
+export async function retrieve(
+  query,
+  {
+    k = config.retrieval.k,
+    denseWeight = config.retrieval.denseWeight,
+    keywordWeight = config.retrieval.keywordWeight,
+    documentIds = [],
+    ownerId,
+  } = {}
+) {
+  const { rrfK } = config.retrieval;
+  const filter = documentFilter(documentIds, ownerId);
+  const candidates = Math.max(k * CANDIDATES_PER_RESULT, MIN_CANDIDATES);
+
+  // Opened even for keyword-only searches: refuses mismatched embedders
+  const vectorStore = await openVectorStore();
+  const [dense, keyword] = await Promise.all([
+    rankedBy(denseWeight, () =>
+      vectorStore.similaritySearchWithScore(query, candidates, filter)
+    ),
+    rankedBy(keywordWeight, () => keywordSearch(query, candidates, filter)),
+  ]);
+
+  return fuseRankings(
+    [
+      { results: dense, weight: denseWeight, scoreField: "denseScore" },
+      { results: keyword, weight: keywordWeight, scoreField: "keywordScore" },
+    ],
+    { k, rrfK }
+  );
+}
+
+const integerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+const nonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+// Numeric retrieval parameters a request may override, with their rules
+const NUMERIC_OPTIONS = {
+  k: [integerBetween(1, MAX_K), `an integer between 1 and ${MAX_K}`],
+  denseWeight: [nonNegative, "a number >= 0"],
+  keywordWeight: [nonNegative, "a number >= 0"],
+  rerankCandidates: [
+    integerBetween(1, MAX_CANDIDATES),
+    `an integer between 1 and ${MAX_CANDIDATES}`,
+  ],
+  tokenBudget: [integerBetween(1, Infinity), "a positive integer"],
+};
+
+/**
+ * Parse ?k=&denseWeight=&keywordWeight=&rerank=&rerankCandidates=&tokenBudget=
+ * on top of the configured defaults.
+ */
+export function parseRetrievalOptions(query) {
+  const options = {
+    k: config.retrieval.k,
+    denseWeight: config.retrieval.denseWeight,
+    keywordWeight: config.retrieval.keywordWeight,
+    rerankCandidates: config.rerank.candidates,
+    tokenBudget: config.rerank.tokenBudget,
+  };
+
+  for (const [name, [valid, rule]] of Object.entries(NUMERIC_OPTIONS)) {
+    if (query[name] === undefined || query[name] === "") continue;
+    const value = Number(query[name]);
+    if (!valid(value)) {
+      throw new HttpError(
+        400,
+        `Invalid ${name}: ${query[name]}`,
+        `${name} must be ${rule}`
+      );
+    }
+    options[name] = value;
+  }
+
+  if (options.denseWeight === 0 && options.keywordWeight === 0) {
+    throw new HttpError(
+      400,
+      "denseWeight and keywordWeight cannot both be 0"
+    );
+  }
+
+  // Validates the name now rather than after retrieval
+  options.reranker = getReranker(query.rerank || undefined);
+  return options;
+}
+
+/**
+ * Retrieve the chunks for a question. Without a reranker this is plain
+ * hybrid retrieval of `k` chunks. With one, `rerankCandidates` chunks are
+ * retrieved, rescored, and the best `k` that fit in `tokenBudget` are kept;
+ * `rerank` then summarises what the reranker did.
+ */
+export async function rankDocuments(
+  query,
+  { reranker, rerankCandidates, tokenBudget, k, ...retrieval },
+  resolved
+) {
+  if (!reranker) {
+    return { docs: await retrieve(query, { ...retrieval, k }), rerank: null };
+  }
+
+  const candidates = await retrieve(query, {
+    ...retrieval,
+    k: Math.max(k, rerankCandidates),
+  });
+  const { docs, summary } = await rerank(reranker, query, candidates, {
+    k,
+    tokenBudget,
+    resolved,
+  });
+  console.log(
+    `🏅 Reranked ${summary.candidates} chunks with ${reranker.label}, kept ${summary.kept}`
+  );
+  return { docs, rerank: summary };
+}
+
+// Accept ?documentIds=a,b as well as repeated ?documentId=a&documentId=b
+export function parseDocumentIds(query) {
+  return [query.documentIds, query.documentId]
+    .flat()
+    .filter((value) => typeof value === "string")
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turn a follow-up ("what about section 3?") into a standalone question
+ * for retrieval. Models that cannot follow the rewrite instruction get the
+ * previous question prepended instead.
+ */
+export async function condenseQuestion(resolved, history, question) {
+  if (history.length === 0) return question;
+
+  if (resolved.provider.supportsQueryRewrite === false) {
+    const previous = history.findLast((message) => message.role === "user");
+    return previous ? `${previous.content}\n${question}` : question;
+  }
+
+  const transcript = formatTranscript(history);
+
+  const rewritten = await generate(resolved, [
+    {
+      role: "system",
+      content: `Given the conversation below and a follow-up question, rewrite the follow-up as a standalone question that can be understood without the conversation. Reply with the rewritten question only.
+
+Conversation:
+${transcript}`,
+    },
+    { role: "user", content: question },
+  ]);
+  return rewritten.trim() || question;
+}
+
+// Messages for the LLM: the prompt template filled with the numbered
+// context, the recent turns and the question
+export function buildMessages(
+  query,
+  docs,
+  history = [],
+  prompt = resolvePrompt()
+) {
+  return renderPrompt(prompt, {
+    context: formatContext(docs),
+    question: query,
+    history,
+  });
+}
+
+/**
+ * Structured sources returned with every answer. `id` is the number the
+ * model cites inline as [id]; `chunks` is how many neighbouring chunks the
+ * source merges and `trimmed` whether its text was cut to fit the prompt.
+ */
+export function toSources(docs) {
+  return docs.map((doc, index) => ({
+    id: index + 1,
+    documentId: doc.metadata.documentId ?? null,
+    documentName: documentName(doc.metadata),
+    fileType: doc.metadata.fileType ?? "pdf",
+    page: doc.metadata.loc?.pageNumber ?? null,
+    section: doc.metadata.section ?? null,
+    location: describeLocation(doc.metadata),
+    // Text recognised from a scanned page rather than read from the PDF
+    ocr: Boolean(doc.metadata.ocr),
+    text: doc.pageContent,
+    score: doc.score ?? null,
+    denseScore: doc.denseScore ?? null,
+    keywordScore: doc.keywordScore ?? null,
+    rerankScore: doc.rerankScore ?? null,
+    chunks: doc.mergedChunks ?? 1,
+    trimmed: Boolean(doc.trimmed),
+  }));
+}
+
+/**
+ * Everything needed before generation: the conversation (if continuing
+ * one), its recent turns, the retrieval query and the retrieved documents.
+ * Conversations and chunks are limited to those of `ownerId`. Callers that
+ * keep the conversation themselves (routes/openai.js) pass its earlier
+ * turns as `history` instead of a `conversationId`. `prompt` is the
+ * template from resolvePrompt; the result describes it for the response.
+ *
+ * With the answer cache on (and `useCache`), a first question is looked up
+ * in it first; `cache.hit` then holds the answer to reuse and nothing is
+ * retrieved. Follow-ups depend on the conversation and are never cached.
+ *
+ * `context` reports how the retrieved chunks were fitted into the model's
+ * context window (see context.js); it is null for cached answers.
+ */
+export async function prepareAnswer({
+  question,
+  resolved,
+  ownerId,
+  documentIds,
+  conversationId,
+  history: previousTurns = [],
+  retrieval,
+  prompt = resolvePrompt(),
+  useCache = true,
+}) {
+  let conversation = null;
+  let history = previousTurns.slice(-config.chat.historyMessages);
+
+  if (conversationId) {
+    conversation = await getConversation(conversationId, ownerId);
+    if (!conversation) {
+      throw new HttpError(404, "Conversation not found");
+    }
+    history = await getMessages(conversationId, config.chat.historyMessages);
+  }
+
+  const cache =
+    useCache && config.answerCache.enabled && history.length === 0
+      ? await findCachedAnswer(question, {
+          ownerId,
+          documentIds,
+          resolved,
+          retrieval,
+          prompt,
+        })
+      : null;
+  if (cache?.hit) {
+    return {
+      conversation,
+      retrievalQuery: cache.hit.question,
+      sources: cache.hit.sources,
+      rerank: cache.hit.rerank,
+      context: null,
+      prompt: describePrompt(prompt),
+      cache,
+    };
+  }
+
+  const retrievalQuery = await condenseQuestion(resolved, history, question);
+  if (retrievalQuery !== question) {
+    console.log(`🔁 Rewrote follow-up for retrieval: ${retrievalQuery}`);
+  }
+
+  // Refuses collections indexed with another embedder
+  const { docs, rerank } = await rankDocuments(
+    retrievalQuery,
+    { ...retrieval, documentIds, ownerId },
+    resolved
+  );
+  // Merge neighbouring chunks and fit them into the model's context window
+  const { docs: contextDocs, report: context } = assembleContext(docs, {
+    resolved,
+    prompt,
+    question,
+    history,
+  });
+
+  return {
+    conversation,
+    retrievalQuery,
+    sources: toSources(contextDocs),
+    rerank,
+    context,
+    prompt: describePrompt(prompt),
+    messages: buildMessages(question, contextDocs, history, prompt),
+    cache,
+  };
+}
+
+// Persist a question/answer pair, starting a conversation if needed
+export async function recordTurn(
+  conversation,
+  { question, answer, sources, resolved, prompt, ownerId, cached = false }
+) {
+  const target =
+    conversation ?? (await createConversation({ title: question, ownerId }));
+  const timestamp = new Date().toISOString();
+
+  await appendMessages(target.id, [
+    { role: "user", content: question, timestamp },
+    {
+      role: "assistant",
+      content: answer,
+      timestamp,
+      provider: resolved.provider.name,
+      model: resolved.model,
+      prompt,
+      sources,
+      cached,
+    },
+  ]);
+  return target;
+}
@@ -0,0 +1,68 @@
+import { setTimeout as sleep } from "node:timers/promises";
+import { redis } from "./redis.js";
+
+// ===================================================
+// Token bucket rate limiter shared by all workers (Valkey)
+// ===================================================
+// rag:ratelimit:<name>  hash { tokens, updatedAt }
+// The bucket refills continuously at `perMinute` tokens a minute up to
+// `capacity`. Taking tokens is one Lua script, so worker processes on any
+// host draw from the same bucket, and Valkey's clock is the only clock.
+const bucketKey = (name) => `rag:ratelimit:${name}`;
+
+// Returns 0 when the tokens were taken, otherwise the milliseconds to wait
+// before enough of them will be there
+redis.defineCommand("takeTokens", {
+  numberOfKeys: 1,
+  lua: `
+local capacity = tonumber(ARGV[1])
+local perMs = tonumber(ARGV[2])
+local requested = tonumber(ARGV[3])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * perMs)
+
+local wait = 0
+if tokens >= requested then
+  tokens = tokens - requested
+else
+  wait = math.ceil((requested - tokens) / perMs)
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updatedAt", now)
+redis.call("PEXPIRE", KEYS[1], math.ceil(capacity / perMs) + 1000)
+return wait
+`,
+});
+
+/**
+ * A named bucket. `acquire(count)` resolves once `count` tokens have been
+ * taken, waiting as long as needed; `onWait(ms)` is told about each wait.
+ * A `perMinute` of 0 turns the limiter off.
+ */
+export function createRateLimiter(name, { perMinute, capacity }) {
+  const perMs = perMinute / 60_000;
+
+  return {
+    async acquire(count, { onWait } = {}) {
+      if (perMinute <= 0 || count === 0) return;
+      // A request larger than the bucket could never be served whole
+      const requested = Math.min(count, capacity);
+
+      while (true) {
+        const wait = await redis.takeTokens(
+          bucketKey(name),
+          capacity,
+          perMs,
+          requested
+        );
+        if (wait === 0) return;
+        await onWait?.(wait);
+        await sleep(wait);
+      }
+    },
+  };
+}
@@ -0,0 +1,15 @@
+import Redis from "ioredis";
+import { config } from "./config.js";
+
+// ===================================================
+// Valkey (Redis) connection for application data
+// ===================================================
+// BullMQ keeps its own connections; this one is for our keys (rag:*).
+export const redis = new Redis({
+  host: config.redis.host,
+  port: Number(config.redis.port),
+});
+
+redis.on("error", (err) => {
+  console.error("🚨 Valkey error:", err.message);
+});
@@ -0,0 +1,51 @@
+import { config } from "../config.js";
+
+// ===================================================
+// Hugging Face Inference cross-encoder reranker
+// ===================================================
+// Cross-encoders read the question and a chunk together and return a
+// relevance probability, which is far more precise than comparing two
+// independently computed embeddings.
+// Alternative models:
+// "BAAI/bge-reranker-base", // Multilingual, slower
+// "cross-encoder/ms-marco-MiniLM-L-12-v2", // Slightly better, slower
+const INFERENCE_URL = "https://router.huggingface.co/hf-inference/models";
+
+// The text-classification pipeline answers with either {label, score} or
+// [{label, score}] per pair depending on the model
+const pairScore = (output) =>
+  (Array.isArray(output) ? output[0] : output)?.score ?? 0;
+
+export const huggingfaceReranker = {
+  name: "huggingface",
+  label: "Hugging Face cross-encoder",
+  defaultModel: "cross-encoder/ms-marco-MiniLM-L-6-v2",
+
+  isConfigured() {
+    return Boolean(config.huggingface.apiKey);
+  },
+
+  async score(query, docs, { model }) {
+    const response = await fetch(`${INFERENCE_URL}/${model}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${config.huggingface.apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        inputs: docs.map((doc) => ({
+          text: query,
+          text_pair: doc.pageContent,
+        })),
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Hugging Face reranker returned HTTP ${response.status}: ${await response.text()}`
+      );
+    }
+    const outputs = await response.json();
+    return docs.map((_, index) => pairScore(outputs[index]));
+  },
+};
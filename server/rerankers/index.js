@@ -0,0 +1,88 @@
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+import { countTokens } from "../tokens.js";
+import { localReranker } from "./local.js";
+import { huggingfaceReranker } from "./huggingface.js";
+import { llmReranker } from "./llm.js";
+
+// ===================================================
+// Reranker registry
+// ===================================================
+// A reranker is a plain object with:
+//   name, label, defaultModel
+//   isConfigured()                           -> whether credentials are present
+//   score(query, docs, { model, resolved })  -> one relevance score per doc,
+//                                               higher is more relevant
+// `resolved` is the LLM picked for the chat request (used by the judge).
+const rerankers = new Map();
+
+export function registerReranker(reranker) {
+  rerankers.set(reranker.name, reranker);
+}
+
+[localReranker, huggingfaceReranker, llmReranker].forEach(registerReranker);
+
+export function listRerankers() {
+  return [...rerankers.values()];
+}
+
+// The reranker named by a request or RERANKER; null means "don't rerank"
+export function getReranker(name = config.rerank.reranker) {
+  if (!name || name === "none") return null;
+
+  const reranker = rerankers.get(name);
+  if (!reranker) {
+    throw new HttpError(400, `Unknown reranker: ${name}`, {
+      available: ["none", ...rerankers.keys()],
+    });
+  }
+  if (!reranker.isConfigured()) {
+    throw new HttpError(
+      400,
+      `Reranker "${name}" is not configured on this server`
+    );
+  }
+  return reranker;
+}
+
+/**
+ * Rescore retrieved candidates and keep the best `k` that fit in
+ * `tokenBudget`. A candidate that would overflow the budget is skipped in
+ * favour of shorter, lower-ranked ones. Each kept document gets a
+ * `rerankScore`; its retrieval scores are left untouched.
+ */
+export async function rerank(
+  reranker,
+  query,
+  candidates,
+  { k, tokenBudget, resolved }
+) {
+  const model = config.rerank.model || reranker.defaultModel;
+  const scores = await reranker.score(query, candidates, { model, resolved });
+
+  const ranked = candidates
+    .map((doc, index) => Object.assign(doc, { rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+
+  const kept = [];
+  let tokens = 0;
+  for (const doc of ranked) {
+    if (kept.length === k) break;
+    const cost = countTokens(doc.pageContent);
+    if (tokens + cost > tokenBudget) continue;
+    kept.push(doc);
+    tokens += cost;
+  }
+
+  return {
+    docs: kept,
+    summary: {
+      reranker: reranker.name,
+      model: reranker.defaultModel ? model : null,
+      candidates: candidates.length,
+      kept: kept.length,
+      tokens,
+      tokenBudget,
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import { HttpError } from "../errors.js";
+import { generate } from "../providers/index.js";
+
+// ===================================================
+// LLM-as-judge reranker
+// ===================================================
+// Asks the chat request's own LLM to grade every candidate from 0 to 10 in
+// a single call. Slower than a cross-encoder but needs no extra model.
+
+// Characters of each chunk shown to the judge, to keep the prompt small
+const EXCERPT_LENGTH = 600;
+
+const GRADE_LINE = /^\s*\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/gm;
+
+export const llmReranker = {
+  name: "llm",
+  label: "LLM judge",
+  defaultModel: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  async score(query, docs, { resolved }) {
+    // Same capability the follow-up rewrite needs: following an instruction
+    if (resolved.provider.supportsQueryRewrite === false) {
+      throw new HttpError(
+        400,
+        `${resolved.provider.label} cannot act as a reranking judge`,
+        "Pick another provider or reranker"
+      );
+    }
+
+    const passages = docs
+      .map(
+        (doc, index) =>
+          `[${index + 1}] ${doc.pageContent.slice(0, EXCERPT_LENGTH)}`
+      )
+      .join("\n\n");
+
+    const reply = await generate(resolved, [
+      {
+        role: "system",
+        content: `You grade how well passages answer a question. For every passage, reply with one line "<number>: <grade>", where the grade goes from 0 (irrelevant) to 10 (answers the question directly). Reply with the grades only.
+
+Passages:
+${passages}`,
+      },
+      { role: "user", content: query },
+    ]);
+
+    // Passages the judge skipped count as irrelevant
+    const grades = new Array(docs.length).fill(0);
+    for (const [, number, grade] of reply.matchAll(GRADE_LINE)) {
+      const index = Number(number) - 1;
+      if (index >= 0 && index < docs.length) {
+        grades[index] = Math.min(Number(grade), 10) / 10;
+      }
+    }
+    return grades;
+  },
+};
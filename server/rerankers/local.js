@@ -0,0 +1,40 @@
+import { tokenize } from "../keywords.js";
+
+// ===================================================
+// Local lexical reranker (offline, deterministic)
+// ===================================================
+// Scores a chunk by the share of distinct query terms it contains, with a
+// bonus for query word pairs that appear next to each other. Far weaker
+// than a cross-encoder; meant for tests, demos and CI.
+const PAIR_WEIGHT = 0.5;
+
+const pairs = (terms) =>
+  new Set(terms.slice(1).map((term, index) => `${terms[index]} ${term}`));
+
+const share = (wanted, found) =>
+  wanted.size === 0
+    ? 0
+    : [...wanted].filter((item) => found.has(item)).length / wanted.size;
+
+export const localReranker = {
+  name: "local",
+  label: "Local lexical overlap",
+  defaultModel: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  async score(query, docs) {
+    const queryTerms = tokenize(query);
+    const wantedTerms = new Set(queryTerms);
+    const wantedPairs = pairs(queryTerms);
+
+    return docs.map((doc) => {
+      const terms = tokenize(doc.pageContent);
+      const termScore = share(wantedTerms, new Set(terms));
+      const pairScore = share(wantedPairs, pairs(terms));
+      return (termScore + PAIR_WEIGHT * pairScore) / (1 + PAIR_WEIGHT);
+    });
+  },
+};
@@ -0,0 +1,145 @@
+import express from "express";
+import {
+  enqueueIngestion,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+} from "../queue.js";
+import { getDocument } from "../documents.js";
+import { isIndexing } from "../ingest.js";
+import {
+  getEmbeddingCacheStats,
+  resetEmbeddingCacheStats,
+} from "../embeddings/cache.js";
+import { config } from "../config.js";
+
+// ===================================================
+// Admin endpoints (/admin), for ADMIN_USER_IDS only
+// ===================================================
+// Dead letters are ingestion jobs that failed for good; they can be
+// inspected, retried (the document is re-indexed from its stored file)
+// or discarded. The embedding cache reports its hit/miss counters.
+const router = express.Router();
+
+//===========================================
+// Every dead-lettered ingestion job, newest first
+//===========================================
+router.get("/dead-letters", async (req, res) => {
+  try {
+    return res.json({ deadLetters: await listDeadLetters() });
+  } catch (error) {
+    console.error("List dead letters error:", error);
+    return res.status(500).json({ error: "Failed to list dead letters" });
+  }
+});
+
+//===========================================
+// One dead letter with the original job data
+//===========================================
+router.get("/dead-letters/:id", async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    return res.json(deadLetter);
+  } catch (error) {
+    console.error("Get dead letter error:", error);
+    return res.status(500).json({ error: "Failed to load dead letter" });
+  }
+});
+
+//===========================================
+// Queue the document again and drop the dead letter
+//===========================================
+router.post("/dead-letters/:id/retry", async (req, res) => {
+  try {
+    const deadLetter = await getDeadLetter(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+
+    // Retry the document as it is now: a newer version may have replaced
+    // the file the job was about
+    const document = await getDocument(deadLetter.documentId);
+    if (!document) {
+      return res.status(410).json({
+        error: "The document of this job has been deleted",
+        details: "Discard the dead letter instead",
+      });
+    }
+    if (isIndexing(document)) {
+      return res
+        .status(409)
+        .json({ error: `${document.filename} is already being indexed` });
+    }
+
+    const jobId = await enqueueIngestion(document);
+    await removeDeadLetter(deadLetter.id);
+    console.log(`🔁 Retrying dead-lettered job ${deadLetter.id} as ${jobId}`);
+    return res.status(202).json({
+      message: "Re-index queued",
+      documentId: document.id,
+      jobId,
+    });
+  } catch (error) {
+    console.error("Retry dead letter error:", error);
+    return res.status(500).json({
+      error: "Failed to retry dead letter",
+      details: error.message,
+    });
+  }
+});
+
+//===========================================
+// Discard a dead letter
+//===========================================
+router.delete("/dead-letters/:id", async (req, res) => {
+  try {
+    if (!(await removeDeadLetter(req.params.id))) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    return res.json({
+      message: "Dead letter discarded",
+      id: req.params.id,
+    });
+  } catch (error) {
+    console.error("Delete dead letter error:", error);
+    return res.status(500).json({ error: "Failed to discard dead letter" });
+  }
+});
+
+//===========================================
+// Embedding cache hit/miss counters (documents, queries and overall)
+//===========================================
+router.get("/embedding-cache", async (req, res) => {
+  try {
+    return res.json({
+      enabled: config.embeddings.cache,
+      ttlDays: config.embeddings.cacheTtlDays,
+      ...(await getEmbeddingCacheStats()),
+    });
+  } catch (error) {
+    console.error("Embedding cache stats error:", error);
+    return res
+      .status(500)
+      .json({ error: "Failed to load embedding cache stats" });
+  }
+});
+
+//===========================================
+// Start counting from zero (cached vectors are kept)
+//===========================================
+router.delete("/embedding-cache/stats", async (req, res) => {
+  try {
+    await resetEmbeddingCacheStats();
+    return res.json({ message: "Embedding cache counters reset" });
+  } catch (error) {
+    console.error("Reset embedding cache stats error:", error);
+    return res
+      .status(500)
+      .json({ error: "Failed to reset embedding cache stats" });
+  }
+});
+
+export default router;
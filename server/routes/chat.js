@@ -0,0 +1,240 @@
+import express from "express";
+import {
+  resolveLLM,
+  generate,
+  streamGenerate,
+  describeProviderError,
+} from "../providers/index.js";
+import {
+  prepareAnswer,
+  recordTurn,
+  parseDocumentIds,
+  parseRetrievalOptions,
+} from "../rag.js";
+import { cacheAnswer, describeCacheUse, logCacheHit } from "../answercache.js";
+import { createConversation } from "../conversations.js";
+import { resolvePrompt } from "../prompts/index.js";
+import { openEventStream } from "../sse.js";
+
+// ===================================================
+// Chat endpoints (/chat)
+// ===================================================
+// Query parameters shared by both routes:
+//   message         the question (required)
+//   provider, model pick the LLM, e.g. ?provider=ollama&model=llama3.1
+//   documentIds     <id>,<id> to search only those documents (always
+//                   limited to the caller's own uploads)
+//   conversationId  continue a conversation (one is started otherwise)
+//   k               number of chunks given to the model (default 3)
+//   denseWeight,    weights of embedding and BM25 keyword results when
+//   keywordWeight   fusing them (default 1 each, 0 turns a search off)
+//   rerank          none | local | huggingface | llm (default RERANKER)
+//   rerankCandidates, tokenBudget
+//                   chunks retrieved for the reranker and the estimated
+//                   tokens the kept chunks may use
+//   cache           false to skip the answer cache (ANSWER_CACHE) for this
+//                   question; answers taken from it are marked cached: true
+//   prompt          prompt template (default PROMPT_TEMPLATE, see /prompts)
+//   language        what to answer in, e.g. German (default PROMPT_LANGUAGE)
+const router = express.Router();
+
+const chatOptions = (req, resolved) => ({
+  question: req.query.message,
+  resolved,
+  ownerId: req.userId,
+  documentIds: parseDocumentIds(req.query),
+  conversationId: req.query.conversationId,
+  retrieval: parseRetrievalOptions(req.query),
+  prompt: resolvePrompt({
+    name: req.query.prompt,
+    language: req.query.language,
+  }),
+  useCache: req.query.cache !== "false",
+});
+
+//==================================================
+// Endpoint to chat with the PDF file
+//==================================================
+router.get("/", async (req, res) => {
+  let resolved;
+  try {
+    const userQuery = req.query.message;
+
+    if (!userQuery) {
+      return res
+        .status(400)
+        .json({ error: "Message query parameter is required" });
+    }
+
+    // Pick the LLM before doing any retrieval work
+    resolved = resolveLLM({
+      provider: req.query.provider,
+      model: req.query.model,
+    });
+
+    const {
+      conversation,
+      retrievalQuery,
+      sources,
+      rerank,
+      context,
+      prompt,
+      messages,
+      cache,
+    } = await prepareAnswer(chatOptions(req, resolved));
+
+    let answer;
+    if (cache?.hit) {
+      logCacheHit(cache);
+      answer = cache.hit.answer;
+    } else {
+      console.log(`🤖 Sending query to ${resolved.provider.label}...`);
+      answer = await generate(resolved, messages);
+      console.log(`✅ Received response from ${resolved.provider.label}`);
+      await cacheAnswer(cache, {
+        question: userQuery,
+        answer,
+        sources,
+        rerank,
+      });
+    }
+
+    const saved = await recordTurn(conversation, {
+      question: userQuery,
+      answer,
+      sources,
+      resolved,
+      prompt,
+      ownerId: req.userId,
+      cached: Boolean(cache?.hit),
+    });
+
+    // Send response back to client
+    return res.json({
+      message: answer,
+      conversationId: saved.id,
+      retrievalQuery,
+      provider: resolved.provider.name,
+      model: resolved.model,
+      prompt,
+      sources,
+      rerank,
+      context,
+      ...describeCacheUse(cache),
+    });
+  } catch (error) {
+    console.error("Chat error:", error);
+    const { status, ...body } = describeProviderError(
+      resolved?.provider,
+      error
+    );
+    return res.status(status).json(body);
+  }
+});
+
+//==================================================
+// Endpoint to stream the chat answer over Server-Sent Events
+// Events: sources -> token (many) -> done | error
+//==================================================
+router.get("/stream", async (req, res) => {
+  const userQuery = req.query.message;
+
+  if (!userQuery) {
+    return res
+      .status(400)
+      .json({ error: "Message query parameter is required" });
+  }
+
+  // Invalid options are refused with a plain HTTP error, before the stream
+  let resolved;
+  let options;
+  try {
+    resolved = resolveLLM({
+      provider: req.query.provider,
+      model: req.query.model,
+    });
+    options = chatOptions(req, resolved);
+  } catch (error) {
+    const { status, ...body } = describeProviderError(undefined, error);
+    return res.status(status).json(body);
+  }
+
+  const stream = openEventStream(res);
+  try {
+    const {
+      conversation,
+      retrievalQuery,
+      sources,
+      rerank,
+      context,
+      prompt,
+      messages,
+      cache,
+    } = await prepareAnswer(options);
+    // Started before generating so the first event can name it: a client
+    // that cancels the answer still continues the same conversation
+    const target =
+      conversation ??
+      (await createConversation({ title: userQuery, ownerId: req.userId }));
+    stream.send("sources", {
+      conversationId: target.id,
+      retrievalQuery,
+      sources,
+      rerank,
+      context,
+      cached: Boolean(cache?.hit),
+    });
+
+    let text;
+    let usage = null;
+    if (cache?.hit) {
+      // A cached answer arrives as a single token
+      logCacheHit(cache);
+      text = cache.hit.answer;
+      stream.send("token", { text });
+    } else {
+      console.log(`🤖 Streaming query to ${resolved.provider.label}...`);
+      ({ text, usage } = await streamGenerate(resolved, messages, {
+        signal: stream.signal,
+        onToken: (piece) => stream.send("token", { text: piece }),
+      }));
+      console.log(`✅ Finished streaming from ${resolved.provider.label}`);
+      await cacheAnswer(cache, {
+        question: userQuery,
+        answer: text,
+        sources,
+        rerank,
+      });
+    }
+
+    const saved = await recordTurn(target, {
+      question: userQuery,
+      answer: text,
+      sources,
+      resolved,
+      prompt,
+      ownerId: req.userId,
+      cached: Boolean(cache?.hit),
+    });
+
+    stream.send("done", {
+      conversationId: saved.id,
+      provider: resolved.provider.name,
+      model: resolved.model,
+      prompt,
+      usage: usage ?? null,
+      ...describeCacheUse(cache),
+    });
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log("🛑 Chat stream cancelled by the client");
+      return;
+    }
+    console.error("Chat stream error:", error);
+    stream.send("error", describeProviderError(resolved.provider, error));
+  } finally {
+    stream.end();
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from "express";
+import {
+  listConversations,
+  getConversation,
+  getMessages,
+  deleteConversation,
+} from "../conversations.js";
+
+// ===================================================
+// Conversation history endpoints (/conversations)
+// ===================================================
+// Only the caller's conversations exist as far as these routes go.
+const router = express.Router();
+
+//===========================================
+// Past conversations, most recent first
+//===========================================
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ conversations: await listConversations(req.userId) });
+  } catch (error) {
+    console.error("List conversations error:", error);
+    return res.status(500).json({ error: "Failed to list conversations" });
+  }
+});
+
+//===========================================
+// One conversation with all of its messages
+//===========================================
+router.get("/:id", async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.userId);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    return res.json({
+      ...conversation,
+      messages: await getMessages(conversation.id),
+    });
+  } catch (error) {
+    console.error("Get conversation error:", error);
+    return res.status(500).json({ error: "Failed to load conversation" });
+  }
+});
+
+//===========================================
+// Forget a conversation
+//===========================================
+router.delete("/:id", async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.userId);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    await deleteConversation(conversation.id);
+    return res.json({
+      message: "Conversation deleted",
+      conversationId: req.params.id,
+    });
+  } catch (error) {
+    console.error("Delete conversation error:", error);
+    return res.status(500).json({ error: "Failed to delete conversation" });
+  }
+});
+
+export default router;
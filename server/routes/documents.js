@@ -0,0 +1,159 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import express from "express";
+import { enqueueIngestion } from "../queue.js";
+import { listDocuments, getDocument } from "../documents.js";
+import { removeDocument, isIndexing } from "../ingest.js";
+import { hasChunkingOptions, parseChunkingOptions } from "../chunking.js";
+import { getLoader } from "../loaders/index.js";
+import { HttpError } from "../errors.js";
+
+// ===================================================
+// Document management endpoints (/documents)
+// ===================================================
+// Another user's document answers 404, exactly like a missing one.
+const router = express.Router();
+
+//===========================================
+// List the caller's uploaded documents
+//===========================================
+router.get("/", async (req, res) => {
+  try {
+    return res.json({ documents: await listDocuments(req.userId) });
+  } catch (error) {
+    console.error("List documents error:", error);
+    return res.status(500).json({ error: "Failed to list documents" });
+  }
+});
+
+//===========================================
+// Pages, chunks, embedding model and ingest time of one document
+//===========================================
+router.get("/:id", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id, req.userId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    return res.json(document);
+  } catch (error) {
+    console.error("Get document error:", error);
+    return res.status(500).json({ error: "Failed to load document" });
+  }
+});
+
+//===========================================
+// The stored file itself: PDFs for the in-browser viewer, text formats
+// as plain text, Word files as a download
+//===========================================
+router.get("/:id/file", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id, req.userId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const filePath = path.resolve(document.path);
+    try {
+      await fs.access(filePath);
+    } catch {
+      return res.status(410).json({
+        error: "The stored file for this document no longer exists",
+      });
+    }
+
+    const loader = getLoader(document.type);
+    res.setHeader(
+      "Content-Disposition",
+      `${loader.inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(document.filename)}`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.type(loader.contentType).sendFile(filePath);
+  } catch (error) {
+    console.error("Get document file error:", error);
+    return res.status(500).json({ error: "Failed to load document file" });
+  }
+});
+
+//===========================================
+// Delete a document: its Qdrant points, stored file, record and cached answers
+//===========================================
+router.delete("/:id", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id, req.userId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    // The worker would go on storing chunks of a document that is gone
+    if (isIndexing(document)) {
+      return res
+        .status(409)
+        .json({ error: `${document.filename} is still being indexed` });
+    }
+
+    await removeDocument(document);
+    return res.json({
+      message: "Document deleted",
+      documentId: document.id,
+    });
+  } catch (error) {
+    console.error("Delete document error:", error);
+    return res.status(500).json({
+      error: "Failed to delete document",
+      details: error.message,
+    });
+  }
+});
+
+//===========================================
+// Re-index a document from its stored file
+//===========================================
+router.post("/:id/reindex", async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id, req.userId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    // Two jobs would rebuild the same chunks at once
+    if (isIndexing(document)) {
+      return res
+        .status(409)
+        .json({ error: `${document.filename} is already being indexed` });
+    }
+
+    try {
+      await fs.access(document.path);
+    } catch {
+      return res.status(410).json({
+        error: "The stored file for this document no longer exists",
+      });
+    }
+
+    // Reuse the recorded chunking unless the body asks for new settings
+    const chunking = hasChunkingOptions(req.body)
+      ? parseChunkingOptions(req.body)
+      : document.chunking;
+
+    // The worker replaces the old chunks when it picks the job up
+    const jobId = await enqueueIngestion({ ...document, chunking });
+
+    return res.status(202).json({
+      message: "Re-index queued",
+      documentId: document.id,
+      jobId,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, details: error.details });
+    }
+    console.error("Reindex document error:", error);
+    return res.status(500).json({
+      error: "Failed to queue re-index",
+      details: error.message,
+    });
+  }
+});
+
+export default router;
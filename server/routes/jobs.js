@@ -0,0 +1,64 @@
+import express from "express";
+import { queue } from "../queue.js";
+
+// ===================================================
+// Ingestion job status (/jobs)
+// ===================================================
+const router = express.Router();
+
+// Stage reported to clients for a BullMQ job:
+//   queued -> parsing -> [ocr (N/M)] -> chunking -> embedding (N/M)
+//     -> stored | failed
+// A rate-limited job waits in "retrying" (with the reason) before its
+// next attempt starts over at parsing.
+async function describeJob(job) {
+  const state = await job.getState();
+  const progress = typeof job.progress === "object" ? job.progress : {};
+  const data = JSON.parse(job.data);
+
+  const status = {
+    jobId: job.id,
+    documentId: data.documentId,
+    filename: data.filename,
+    state,
+    stage: progress.stage ?? "queued",
+    progress,
+    attemptsMade: job.attemptsMade,
+    attempts: job.opts.attempts ?? 1,
+    createdAt: new Date(job.timestamp).toISOString(),
+  };
+
+  if (state === "completed") {
+    status.stage = "stored";
+    status.result = job.returnvalue;
+  } else if (state === "failed") {
+    status.stage = "failed";
+    status.reason = job.failedReason;
+  } else if (state === "delayed" && job.attemptsMade > 0) {
+    status.stage = "retrying";
+    status.reason = job.failedReason;
+  } else if (state !== "active") {
+    status.stage = "queued";
+  }
+
+  return status;
+}
+
+//===========================================
+// Current stage of an ingestion job
+//===========================================
+router.get("/:id", async (req, res) => {
+  try {
+    const job = await queue.getJob(req.params.id);
+    // Jobs of other users' documents are as invisible as the documents
+    if (!job || JSON.parse(job.data).ownerId !== req.userId) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    return res.json(await describeJob(job));
+  } catch (error) {
+    console.error("Job status error:", error);
+    return res.status(500).json({ error: "Failed to load job status" });
+  }
+});
+
+export default router;
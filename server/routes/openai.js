@@ -0,0 +1,294 @@
+import express from "express";
+import { randomUUID } from "node:crypto";
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+import { countTokens } from "../tokens.js";
+import {
+  resolveLLM,
+  generate,
+  streamGenerate,
+  describeProviderError,
+  listModels,
+} from "../providers/index.js";
+import {
+  prepareAnswer,
+  parseDocumentIds,
+  parseRetrievalOptions,
+} from "../rag.js";
+import { cacheAnswer, describeCacheUse, logCacheHit } from "../answercache.js";
+import { resolvePrompt } from "../prompts/index.js";
+import { openEventStream } from "../sse.js";
+
+// ===================================================
+// OpenAI-compatible endpoints (/v1)
+// ===================================================
+// Lets OpenAI clients and SDKs talk to the RAG pipeline by pointing their
+// base URL at <server>/v1 and using a bearer token as the API key. Every
+// completion goes through the same retrieval and generation as /chat.
+//
+// Picking the LLM and the documents, through the model name:
+//   rag                           the default provider and model
+//   <provider>                    that provider's default model
+//   <provider>/<model>            e.g. ollama/llama3.1
+//   ...@<documentId>,<documentId> only search those documents
+// or through extra body parameters (extra_body in the OpenAI SDKs):
+//   provider                      replaces the provider of the model name
+//   documentIds                   [<id>, ...] or "<id>,<id>", added to the
+//                                 documents of the model name
+//   k, denseWeight, keywordWeight, rerank, rerankCandidates, tokenBudget,
+//   cache, prompt, language       as for /chat
+//
+// The conversation is the client's: earlier user and assistant messages
+// are the history, the last user message is the question, and nothing is
+// stored. System messages are ignored since the server writes its own
+// prompt, and so are sampling parameters (temperature, max_tokens, ...).
+// Retrieved sources come back in a `rag` field next to `choices`.
+const router = express.Router();
+
+const DEFAULT_MODEL_ID = "rag";
+
+// "<provider>/<model>@<id>,<id>" -> { provider, model, documentIds }
+function parseModelName(name = "") {
+  const [id, scope] = name.split("@");
+  const slash = id.indexOf("/");
+  const selection =
+    slash === -1
+      ? { provider: id === DEFAULT_MODEL_ID ? undefined : id || undefined }
+      : { provider: id.slice(0, slash), model: id.slice(slash + 1) };
+  return {
+    ...selection,
+    documentIds: parseDocumentIds({ documentIds: scope }),
+  };
+}
+
+// Message content is a string or a list of parts, of which text counts
+const messageText = (content) =>
+  Array.isArray(content)
+    ? content
+        .filter((part) => part?.type === "text")
+        .map((part) => part.text)
+        .join("")
+    : typeof content === "string"
+      ? content
+      : "";
+
+// The question is the last message, the user and assistant turns before it
+// are the history
+function parseMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpError(400, "messages must be a non-empty array");
+  }
+
+  const turns = messages
+    .filter(
+      (message) => message?.role === "user" || message?.role === "assistant"
+    )
+    .map(({ role, content }) => ({ role, content: messageText(content) }));
+  const last = turns.at(-1);
+  if (last?.role !== "user" || !last.content.trim()) {
+    throw new HttpError(
+      400,
+      "The last message must be a user message with text"
+    );
+  }
+  return { question: last.content, history: turns.slice(0, -1) };
+}
+
+// Resolve the LLM and everything prepareAnswer needs from the request body
+function parseCompletionRequest(req) {
+  const { body } = req;
+  if (body.n !== undefined && body.n !== 1) {
+    throw new HttpError(400, "Only one choice (n = 1) is supported");
+  }
+
+  const { question, history } = parseMessages(body.messages);
+  const fromName = parseModelName(
+    typeof body.model === "string" ? body.model : ""
+  );
+  const resolved = resolveLLM({
+    provider: body.provider || fromName.provider,
+    model: fromName.model,
+  });
+
+  return {
+    question,
+    resolved,
+    ownerId: req.userId,
+    documentIds: [
+      ...new Set([...fromName.documentIds, ...parseDocumentIds(body)]),
+    ],
+    history,
+    retrieval: parseRetrievalOptions(body),
+    prompt: resolvePrompt({ name: body.prompt, language: body.language }),
+    useCache: body.cache !== false && body.cache !== "false",
+  };
+}
+
+// Token counts in OpenAI's shape: what the provider reported, or an
+// estimate (see tokens.js); answers from the cache cost nothing
+function describeUsage({ messages, answer, usage, cached }) {
+  if (cached) {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  }
+  const prompt =
+    usage?.input_tokens ??
+    messages.reduce((sum, message) => sum + countTokens(message.content), 0);
+  const completion = usage?.output_tokens ?? countTokens(answer);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+  };
+}
+
+const errorBody = ({ status, error, details }) => ({
+  error: {
+    message: error,
+    type: status >= 500 ? "server_error" : "invalid_request_error",
+    param: null,
+    code: null,
+    details: details ?? null,
+  },
+});
+
+//==================================================
+// Endpoint to answer a chat completion, as JSON or streamed chunks
+//==================================================
+router.post("/chat/completions", async (req, res) => {
+  let options;
+  let prepared;
+  // Everything that can be refused is checked before a stream is opened,
+  // so clients see a plain HTTP error
+  try {
+    options = parseCompletionRequest(req);
+    prepared = await prepareAnswer(options);
+  } catch (error) {
+    console.error("Chat completion error:", error);
+    const described = describeProviderError(options?.resolved.provider, error);
+    return res.status(described.status).json(errorBody(described));
+  }
+
+  const { question, resolved } = options;
+  const { retrievalQuery, sources, rerank, context, prompt, messages, cache } =
+    prepared;
+  const completion = {
+    id: `chatcmpl-${randomUUID()}`,
+    created: Math.floor(Date.now() / 1000),
+    model: `${resolved.provider.name}/${resolved.model}`,
+  };
+  const rag = {
+    retrievalQuery,
+    sources,
+    rerank,
+    context,
+    prompt,
+    ...describeCacheUse(cache),
+  };
+  const cached = Boolean(cache?.hit);
+  if (cached) logCacheHit(cache);
+
+  if (!req.body.stream) {
+    try {
+      let answer = cache?.hit?.answer;
+      if (!cached) {
+        console.log(`🤖 Sending query to ${resolved.provider.label}...`);
+        answer = await generate(resolved, messages);
+        console.log(`✅ Received response from ${resolved.provider.label}`);
+        await cacheAnswer(cache, { question, answer, sources, rerank });
+      }
+
+      return res.json({
+        ...completion,
+        object: "chat.completion",
+        choices: [
+          {
+            index: 0,
+            message: { role: "assistant", content: answer },
+            finish_reason: "stop",
+          },
+        ],
+        usage: describeUsage({ messages, answer, cached }),
+        rag,
+      });
+    } catch (error) {
+      console.error("Chat completion error:", error);
+      const described = describeProviderError(resolved.provider, error);
+      return res.status(described.status).json(errorBody(described));
+    }
+  }
+
+  // Unnamed events, one chunk each: role (with `rag`) -> content (many)
+  // -> finish_reason -> usage (if asked for) -> [DONE]
+  const stream = openEventStream(res);
+  const chunk = (delta, finishReason = null) => ({
+    ...completion,
+    object: "chat.completion.chunk",
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+  try {
+    stream.sendData({ ...chunk({ role: "assistant", content: "" }), rag });
+
+    let answer;
+    let usage = null;
+    if (cached) {
+      // A cached answer arrives as a single chunk
+      answer = cache.hit.answer;
+      stream.sendData(chunk({ content: answer }));
+    } else {
+      console.log(`🤖 Streaming query to ${resolved.provider.label}...`);
+      ({ text: answer, usage } = await streamGenerate(resolved, messages, {
+        signal: stream.signal,
+        onToken: (piece) => stream.sendData(chunk({ content: piece })),
+      }));
+      console.log(`✅ Finished streaming from ${resolved.provider.label}`);
+      await cacheAnswer(cache, { question, answer, sources, rerank });
+    }
+
+    stream.sendData(chunk({}, "stop"));
+    if (req.body.stream_options?.include_usage) {
+      stream.sendData({
+        ...chunk({}),
+        choices: [],
+        usage: describeUsage({ messages, answer, usage, cached }),
+      });
+    }
+    stream.sendData("[DONE]");
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log("🛑 Chat completion stream cancelled by the client");
+      return;
+    }
+    console.error("Chat completion stream error:", error);
+    stream.sendData(errorBody(describeProviderError(resolved.provider, error)));
+  } finally {
+    stream.end();
+  }
+});
+
+//==================================================
+// Endpoint to list model names usable in a chat completion
+//==================================================
+router.get("/models", async (req, res) => {
+  try {
+    const providers = await listModels();
+    const models = [
+      { id: DEFAULT_MODEL_ID, owned_by: config.llm.provider },
+      ...Object.entries(providers).flatMap(([name, entry]) =>
+        entry.models.map((model) => ({
+          id: `${name}/${model}`,
+          owned_by: name,
+        }))
+      ),
+    ];
+    return res.json({
+      object: "list",
+      data: models.map((model) => ({ ...model, object: "model", created: 0 })),
+    });
+  } catch (error) {
+    return res
+      .status(500)
+      .json(errorBody({ status: 500, error: error.message }));
+  }
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import fs from "node:fs/promises";
+import express from "express";
+import multer from "multer";
+import {
+  ingestUpload,
+  storedFilename,
+  unsupportedType,
+  fileTooLarge,
+} from "../ingest.js";
+import { detectFileType } from "../loaders/index.js";
+import { config } from "../config.js";
+import { HttpError } from "../errors.js";
+
+// ===================================================
+// Upload endpoints (/upload)
+// ===================================================
+// POST /upload takes the file in field "file" (PDF, DOCX, TXT, Markdown,
+// HTML or CSV); POST /upload/pdf keeps the original "pdf" field working.
+// Optional form fields:
+//   chunkStrategy, chunkSize, chunkOverlap  pick the splitter; they are
+//                                           stored for later re-indexing
+//   documentId   upload a new version of that document; without it every
+//                upload is a new document, whatever its filename
+// Duplicates (same bytes) are only looked for among the caller's documents.
+// Files over UPLOAD_MAX_FILE_MB, of unsupported types, whose bytes do not
+// match their type, or unreadable PDFs are refused with a 4xx whose
+// `details.code` says why (see validation.js).
+const router = express.Router();
+
+// ===================================================
+// Multer Configuration
+// ===================================================
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, "uploads/");
+  },
+  filename: function (req, file, cb) {
+    cb(null, storedFilename(file.originalname));
+  },
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.upload.maxFileSizeMb * 1024 * 1024,
+    files: 1,
+    fields: 10,
+  },
+  // Refuse unsupported types before their bytes are written to disk
+  fileFilter: (req, file, cb) =>
+    detectFileType(file) ? cb(null, true) : cb(unsupportedType(file)),
+});
+
+// Multer's own errors as the structured 4xx responses of this route
+function describeMulterError(error, field) {
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return fileTooLarge();
+    case "LIMIT_UNEXPECTED_FILE":
+      return new HttpError(
+        400,
+        `Unexpected file field "${error.field}"; send the file as "${field}"`,
+        { code: "unexpected_field" }
+      );
+    default:
+      return new HttpError(400, error.message, {
+        code: error.code.toLowerCase(),
+      });
+  }
+}
+
+// upload.single(field) that answers with JSON instead of Express's error page
+const receiveFile = (field) => (req, res, next) =>
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+    const failure =
+      error instanceof multer.MulterError
+        ? describeMulterError(error, field)
+        : error;
+    if (!(failure instanceof HttpError)) {
+      console.error("Upload error:", error);
+      return res.status(500).json({ error: "Failed to upload file" });
+    }
+    return res
+      .status(failure.status)
+      .json({ error: failure.message, details: failure.details });
+  });
+
+const handleUpload = async (req, res) => {
+  try {
+    if (!req.file) {
+      throw new HttpError(400, "No file was uploaded", { code: "no_file" });
+    }
+
+    const { outcome, document, jobId, label } = await ingestUpload(
+      req.file,
+      req.userId,
+      req.body
+    );
+
+    if (outcome === "duplicate") {
+      return res.json({
+        message: "This file was already uploaded",
+        documentId: document.id,
+        type: document.type ?? "pdf",
+        jobId,
+        status: document.status,
+        duplicate: true,
+      });
+    }
+    return res.json({
+      message:
+        outcome === "version"
+          ? `New version of ${label} file uploaded, re-indexing changed chunks`
+          : `${label} file uploaded, indexing queued`,
+      documentId: document.id,
+      type: document.type,
+      jobId,
+      version: document.version,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      // Nothing was queued, so don't keep the file around
+      if (req.file) await fs.rm(req.file.path, { force: true });
+      return res
+        .status(error.status)
+        .json({ error: error.message, details: error.details });
+    }
+    console.error("Upload error:", error);
+    return res.status(500).json({ error: "Failed to upload file" });
+  }
+};
+
+router.post("/", receiveFile("file"), handleUpload);
+router.post("/pdf", receiveFile("pdf"), handleUpload);
+
+export default router;
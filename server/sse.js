@@ -0,0 +1,37 @@
+// ===================================================
+// Server-Sent Events helper
+// ===================================================
+// Switches an Express response into an event stream. `send` writes one
+// named event with a JSON payload, `sendData` an unnamed one (what
+// OpenAI-style clients read); `signal` aborts when the client goes away.
+export function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    // Strings are written as they are, e.g. the "[DONE]" marker
+    sendData(data) {
+      if (res.writableEnded) return;
+      const payload = typeof data === "string" ? data : JSON.stringify(data);
+      res.write(`data: ${payload}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitDocuments, resolveChunking } from "../chunking.js";
+import { HttpError } from "../errors.js";
+import { countTokens } from "../tokens.js";
+
+const page = (pageContent, metadata = { loc: { pageNumber: 1 } }) => ({
+  pageContent,
+  metadata,
+});
+
+const sentences = (settings, text) =>
+  splitDocuments([page(text)], { strategy: "sentence", ...settings });
+
+test("sentence chunks stay within chunkSize tokens and keep page metadata", async () => {
+  const text = Array.from(
+    { length: 40 },
+    (_, i) => `Sentence number ${i} talks about clause ${i} of the contract.`
+  ).join(" ");
+  const chunks = await sentences({ chunkSize: 60, chunkOverlap: 15 }, text);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk.pageContent) <= 60, chunk.pageContent);
+    assert.deepEqual(chunk.metadata, { loc: { pageNumber: 1 } });
+  }
+});
+
+test("sentence chunks repeat the last sentences of the previous chunk", async () => {
+  const text =
+    "Alpha is first here. Beta comes second here. Gamma is third here.";
+  const [first, second] = await sentences(
+    { chunkSize: 12, chunkOverlap: 6 },
+    text
+  );
+
+  assert.equal(
+    first.pageContent,
+    "Alpha is first here. Beta comes second here."
+  );
+  assert.equal(
+    second.pageContent,
+    "Beta comes second here. Gamma is third here."
+  );
+});
+
+test("carried overlap is dropped when the next sentence would not fit with it", async () => {
+  const long = `${"word ".repeat(40).trim()}.`;
+  const text = `Short one here. Another short one. ${long}`;
+  const chunks = await sentences({ chunkSize: 45, chunkOverlap: 20 }, text);
+
+  assert.equal(chunks[0].pageContent, "Short one here. Another short one.");
+  // No chunk made of nothing but the carried tail, none over the limit
+  assert.equal(chunks.length, 2);
+  assert.ok(chunks[1].pageContent.endsWith(long));
+  assert.ok(countTokens(chunks[1].pageContent) <= 45);
+});
+
+test("a sentence longer than a chunk is cut by tokens", async () => {
+  const chunks = await sentences(
+    { chunkSize: 10, chunkOverlap: 0 },
+    "word ".repeat(35)
+  );
+  assert.ok(chunks.length >= 4);
+  for (const chunk of chunks) assert.ok(countTokens(chunk.pageContent) <= 10);
+});
+
+test("heading chunks record the section they belong to", async () => {
+  const text = [
+    "1. Scope",
+    "This agreement covers consulting services.",
+    "2. Termination",
+    "Either party may end it with 30 days notice.",
+  ].join("\n");
+  const chunks = await splitDocuments([page(text)], {
+    strategy: "heading",
+    chunkSize: 1500,
+    chunkOverlap: 150,
+  });
+
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.metadata.section),
+    ["1. Scope", "2. Termination"]
+  );
+  assert.match(chunks[1].pageContent, /30 days notice/);
+});
+
+test("resolveChunking parses form values and refuses unusable settings", () => {
+  assert.deepEqual(
+    resolveChunking({
+      strategy: "sentence",
+      chunkSize: "100",
+      chunkOverlap: "10",
+    }),
+    { strategy: "sentence", unit: "tokens", chunkSize: 100, chunkOverlap: 10 }
+  );
+
+  for (const settings of [
+    { strategy: "paragraphs" },
+    { strategy: "sentence", chunkSize: 0 },
+    { strategy: "sentence", chunkSize: 50, chunkOverlap: 50 },
+    { strategy: "recursive", chunkSize: "big" },
+  ]) {
+    assert.throws(
+      () => resolveChunking(settings),
+      (error) => error instanceof HttpError && error.status === 400
+    );
+  }
+});
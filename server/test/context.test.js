@@ -0,0 +1,133 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../config.js";
+import { contextBudget, assembleContext, mergeAdjacent } from "../context.js";
+import { answerTokens } from "../providers/index.js";
+import { resolvePrompt } from "../prompts/index.js";
+
+const settings = { ...config.context };
+beforeEach(() =>
+  Object.assign(config.context, { maxTokens: 0, safetyMargin: 0.1 })
+);
+after(() => Object.assign(config.context, settings));
+
+const provider = (window, maxOutputTokens) => ({
+  name: "fake",
+  contextWindow: () => window,
+  maxOutputTokens,
+});
+
+// Every message counts 10 tokens (+ 4 for its chat format)
+const count = () => 10;
+
+const budgetFor = (resolvedProvider, history = []) =>
+  contextBudget(
+    {
+      resolved: { provider: resolvedProvider, model: "fake-model" },
+      prompt: resolvePrompt({ name: "default" }),
+      question: "What is the notice period?",
+      history,
+    },
+    count
+  );
+
+test("the budget is the window less the answer, the margin and the prompt", () => {
+  // (4000 - 500) * 0.9 - 2 messages * 14
+  assert.deepEqual(budgetFor(provider(4000, 500)), {
+    window: 4000,
+    budget: 3122,
+  });
+});
+
+test("at most a quarter of the window is kept for the answer", () => {
+  // (1024 - 256) * 0.9 - 28
+  assert.equal(budgetFor(provider(1024, 1024)).budget, 663);
+  assert.equal(answerTokens(provider(1024, 1024), "fake-model"), 256);
+  assert.equal(answerTokens(provider(4000, 500), "fake-model"), 500);
+});
+
+test("earlier turns sent as messages take from the budget", () => {
+  const history = [
+    { role: "user", content: "Who signed it?" },
+    { role: "assistant", content: "Both parties." },
+  ];
+  assert.equal(budgetFor(provider(4000, 500), history).budget, 3122 - 28);
+});
+
+test("CONTEXT_MAX_TOKENS caps the budget, with or without a window", () => {
+  config.context.maxTokens = 2000;
+  assert.equal(budgetFor(provider(4000, 500)).budget, 2000);
+  assert.deepEqual(budgetFor({ name: "fake" }), { window: null, budget: 2000 });
+
+  config.context.maxTokens = 0;
+  assert.equal(budgetFor({ name: "fake" }).budget, Infinity);
+});
+
+test("a window too small for the prompt leaves a budget of 0", () => {
+  assert.equal(budgetFor(provider(40, 1024)).budget, 0);
+});
+
+const chunk = (id, text, lines, score) => ({
+  id,
+  pageContent: text,
+  metadata: {
+    documentId: "doc-1",
+    filename: "handbook.txt",
+    loc: { lines },
+  },
+  score,
+});
+
+test("neighbouring chunks of a document become one source", () => {
+  const merged = mergeAdjacent([
+    chunk("b", "Second part.", { from: 5, to: 8 }, 0.9),
+    chunk("a", "First part.", { from: 1, to: 5 }, 0.7),
+    chunk("c", "Far away.", { from: 40, to: 44 }, 0.5),
+  ]);
+
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].pageContent, "First part.\nSecond part.");
+  assert.deepEqual(merged[0].metadata.loc.lines, { from: 1, to: 8 });
+  assert.equal(merged[0].score, 0.9);
+  assert.equal(merged[0].mergedChunks, 2);
+});
+
+test("sources that do not fit are cut, or dropped when little room is left", () => {
+  config.context.maxTokens = 300;
+  const sentence = "The notice period is thirty days for every employee. ";
+  const assemble = (docs) =>
+    assembleContext(docs, {
+      resolved: { provider: provider(100000, 1000), model: "fake-model" },
+      prompt: resolvePrompt({ name: "default" }),
+      question: "What is the notice period?",
+      history: [],
+    });
+
+  // The first source takes all but a few tokens
+  const { docs: kept, report } = assemble([
+    chunk("a", sentence.repeat(25), { from: 1, to: 25 }, 0.9),
+    chunk("b", sentence.repeat(5), { from: 50, to: 55 }, 0.8),
+  ]);
+  assert.equal(report.budget, 300);
+  assert.equal(kept.length, 1);
+  assert.ok(!kept[0].trimmed);
+  assert.deepEqual(report.dropped, [
+    {
+      documentId: "doc-1",
+      documentName: "handbook.txt",
+      location: "lines 50-55",
+      tokens: report.dropped[0].tokens,
+      score: 0.8,
+    },
+  ]);
+  assert.ok(report.tokens <= report.budget);
+
+  // One source larger than the whole budget is cut at a sentence end
+  const { docs: cut, report: cutReport } = assemble([
+    chunk("a", sentence.repeat(80), { from: 1, to: 80 }, 0.9),
+  ]);
+  assert.equal(cut[0].trimmed, true);
+  assert.deepEqual(cutReport.trimmed, [1]);
+  assert.ok(cut[0].pageContent.endsWith("employee."));
+  assert.ok(cutReport.tokens <= cutReport.budget);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fuseRankings } from "../fusion.js";
+
+const doc = (id) => ({ id, pageContent: id, metadata: {} });
+
+const rankings = (
+  dense,
+  keyword,
+  { denseWeight = 1, keywordWeight = 1 } = {}
+) => [
+  { results: dense, weight: denseWeight, scoreField: "denseScore" },
+  { results: keyword, weight: keywordWeight, scoreField: "keywordScore" },
+];
+
+test("chunks found by both searches rank above chunks found by one", () => {
+  const [a, b, c] = ["a", "b", "c"].map(doc);
+  const fused = fuseRankings(
+    rankings(
+      [
+        [a, 0.9],
+        [b, 0.8],
+      ],
+      [
+        [b, 12],
+        [c, 7],
+      ]
+    ),
+    { k: 3, rrfK: 60 }
+  );
+
+  assert.deepEqual(
+    fused.map((result) => result.id),
+    ["b", "a", "c"]
+  );
+  assert.equal(fused[0].denseScore, 0.8);
+  assert.equal(fused[0].keywordScore, 12);
+  assert.equal(fused[1].keywordScore, null);
+  assert.equal(fused[2].denseScore, null);
+});
+
+test("scores are 1 for a chunk ranked first by every search", () => {
+  const a = doc("a");
+  const [fused] = fuseRankings(rankings([[a, 0.9]], [[a, 3]]), {
+    k: 1,
+    rrfK: 60,
+  });
+  assert.equal(fused.score, 1);
+});
+
+test("an empty list does not lower the best possible score", () => {
+  const [fused] = fuseRankings(rankings([[doc("a"), 0.9]], []), {
+    k: 1,
+    rrfK: 60,
+  });
+  assert.equal(fused.score, 1);
+});
+
+test("weights decide between two chunks each found by one search", () => {
+  const fused = fuseRankings(
+    rankings([[doc("dense"), 0.9]], [[doc("keyword"), 5]], {
+      keywordWeight: 2,
+    }),
+    { k: 2, rrfK: 60 }
+  );
+  assert.deepEqual(
+    fused.map((result) => result.id),
+    ["keyword", "dense"]
+  );
+  assert.ok(Math.abs(fused[1].score - 1 / 3) < 1e-9);
+});
+
+test("only the best k are returned", () => {
+  const results = ["a", "b", "c", "d"].map((id, rank) => [
+    doc(id),
+    1 - rank / 10,
+  ]);
+  const fused = fuseRankings(rankings(results, []), { k: 2, rrfK: 60 });
+  assert.deepEqual(
+    fused.map((result) => result.id),
+    ["a", "b"]
+  );
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, chunkSparseVector, querySparseVector } from "../keywords.js";
+
+const dot = (a, b) => {
+  const values = new Map(a.indices.map((index, i) => [index, a.values[i]]));
+  return b.indices.reduce(
+    (sum, index, i) => sum + (values.get(index) ?? 0) * b.values[i],
+    0
+  );
+};
+
+test("tokenize lowercases, drops stopwords and keeps compound identifiers whole", () => {
+  assert.deepEqual(tokenize("The XJ-200 pump is rated for SLA_v2"), [
+    "xj-200",
+    "xj",
+    "200",
+    "pump",
+    "rated",
+    "sla_v2",
+    "sla",
+    "v2",
+  ]);
+});
+
+test("single digits are kept, single letters are not", () => {
+  assert.deepEqual(tokenize("Clause 7 b"), ["clause", "7"]);
+});
+
+test("the same term always gets the same index", () => {
+  const query = querySparseVector("termination notice");
+  const chunk = chunkSparseVector("Notice of termination must be written.");
+  for (const index of query.indices) assert.ok(chunk.indices.includes(index));
+});
+
+test("query vectors hold term counts", () => {
+  const vector = querySparseVector("notice notice period");
+  assert.deepEqual([...vector.values].sort(), [1, 2]);
+});
+
+test("chunk values saturate with repetition and favour short chunks", () => {
+  const once = chunkSparseVector("refund");
+  const many = chunkSparseVector("refund ".repeat(20));
+  const long = chunkSparseVector(`refund ${"filler ".repeat(400)}`);
+  const query = querySparseVector("refund");
+
+  assert.ok(dot(query, many) > dot(query, once));
+  assert.ok(dot(query, many) < 20 * dot(query, once));
+  assert.ok(dot(query, long) < dot(query, once));
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { localProvider } from "../providers/local.js";
+import { generate, streamGenerate } from "../providers/index.js";
+
+// The offline provider answers from the context, so the pipeline can be
+// exercised without a model or an API key
+const resolved = {
+  provider: localProvider,
+  model: localProvider.defaultModel,
+  llm: localProvider.createLLM(localProvider.defaultModel, {}),
+};
+
+const messages = [
+  {
+    role: "system",
+    content: [
+      "Answer from the context.",
+      "",
+      "Context from the documents:",
+      "[1] handbook.pdf, page 2",
+      "Employees must give thirty days notice before leaving the company.",
+      "",
+      "---",
+      "",
+      "[2] handbook.pdf, page 5",
+      "The office kitchen is cleaned every Friday afternoon by the staff.",
+    ].join("\n"),
+  },
+  { role: "user", content: "How much notice must employees give?" },
+];
+
+test("answers by quoting the matching context sentence with its source", async () => {
+  assert.equal(
+    await generate(resolved, messages),
+    "Employees must give thirty days notice before leaving the company. [1]"
+  );
+});
+
+test("says so when the context does not answer the question", async () => {
+  const answer = await generate(resolved, [
+    messages[0],
+    { role: "user", content: "Which parking spaces are reserved?" },
+  ]);
+  assert.equal(
+    answer,
+    "The information is not available in the provided documents."
+  );
+});
+
+test("streams the same answer piece by piece", async () => {
+  const pieces = [];
+  const { text } = await streamGenerate(resolved, messages, {
+    onToken: (piece) => pieces.push(piece),
+  });
+
+  assert.ok(pieces.length > 1);
+  assert.equal(pieces.join(""), text);
+  assert.equal(text, await generate(resolved, messages));
+});
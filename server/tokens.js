@@ -0,0 +1,38 @@
+import { getEncoding } from "js-tiktoken";
+
+// ===================================================
+// Token counting
+// ===================================================
+// cl100k_base is not the tokenizer of every provider we support, but it is
+// close enough for sizing chunks and context, and it works offline.
+// Providers whose models use another tokenizer that js-tiktoken ships
+// (GPT-2's, for DialoGPT) name it, so their context is counted exactly.
+export const DEFAULT_ENCODING = "cl100k_base";
+
+const encodings = new Map();
+
+function encodingFor(name = DEFAULT_ENCODING) {
+  if (!encodings.has(name)) encodings.set(name, getEncoding(name));
+  return encodings.get(name);
+}
+
+export const countTokens = (text, encodingName) =>
+  encodingFor(encodingName).encode(text).length;
+
+// Cut a text into pieces of at most `size` tokens
+export function splitByTokens(text, size) {
+  const encoding = encodingFor();
+  const tokens = encoding.encode(text);
+  const pieces = [];
+  for (let start = 0; start < tokens.length; start += size) {
+    pieces.push(encoding.decode(tokens.slice(start, start + size)));
+  }
+  return pieces;
+}
+
+// The start of `text` that fits in `size` tokens
+export function truncateToTokens(text, size, encodingName) {
+  const encoding = encodingFor(encodingName);
+  const tokens = encoding.encode(text);
+  return tokens.length <= size ? text : encoding.decode(tokens.slice(0, size));
+}
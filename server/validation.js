@@ -0,0 +1,148 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config } from "./config.js";
+import { HttpError } from "./errors.js";
+import { countPdfPages } from "./ocr.js";
+
+// ===================================================
+// Upload validation
+// ===================================================
+// Runs on a stored upload before anything is queued: the bytes must match
+// the claimed file type, and PDFs must open without a password, be
+// complete and stay within the page limit. Rejections are HttpErrors whose
+// `details.code` tells clients what went wrong:
+//   empty_file, signature_mismatch, binary_text, encrypted_pdf,
+//   corrupt_pdf, too_many_pages
+// (the upload route adds file_too_large and unsupported_type).
+
+const MAX_FILENAME_LENGTH = 120;
+
+/**
+ * A filename that is safe to store on disk and show in the UI: no
+ * directories, control characters or other specials, and at most
+ * MAX_FILENAME_LENGTH characters with the extension kept.
+ */
+export function sanitizeFilename(name) {
+  const cleaned = path
+    .basename(String(name ?? "").replaceAll("\\", "/"))
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{N}._ ()-]+/gu, "_")
+    .replace(/\s+/g, " ")
+    // No hidden files, no trailing dots or spaces (Windows drops them)
+    .replace(/^[.\s_]+|[.\s]+$/g, "");
+
+  const extension = path.extname(cleaned).slice(0, 16);
+  const stem = cleaned
+    .slice(0, cleaned.length - extension.length)
+    .slice(0, MAX_FILENAME_LENGTH - extension.length);
+  return `${stem || "upload"}${extension}`;
+}
+
+// File signatures ("magic bytes") and how far into the file they may start
+const SIGNATURES = {
+  // PDF readers accept junk before the header, up to 1 KB
+  pdf: { bytes: Buffer.from("%PDF-"), within: 1024 },
+  // DOCX files are ZIP archives
+  docx: { bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]), within: 0 },
+};
+// Text formats are checked for NUL bytes, which text never contains
+const TEXT_SAMPLE_BYTES = 8192;
+// A complete PDF ends with %%EOF within its last kilobyte
+const PDF_TRAILER_BYTES = 1024;
+
+async function readBytes(filePath, position, length) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(
+      Buffer.alloc(length),
+      0,
+      length,
+      position
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+const reject = (status, message, details) => {
+  throw new HttpError(status, message, details);
+};
+
+function checkSignature(head, type, label) {
+  const signature = SIGNATURES[type];
+  if (signature) {
+    const at = head.indexOf(signature.bytes);
+    if (at === -1 || at > signature.within) {
+      reject(415, `This file is not a valid ${label} file`, {
+        code: "signature_mismatch",
+        type,
+      });
+    }
+  } else if (head.subarray(0, TEXT_SAMPLE_BYTES).includes(0)) {
+    reject(415, `This file is binary, not a ${label} file`, {
+      code: "binary_text",
+      type,
+    });
+  }
+}
+
+async function checkPdf(filePath, size) {
+  const tail = await readBytes(
+    filePath,
+    Math.max(0, size - PDF_TRAILER_BYTES),
+    PDF_TRAILER_BYTES
+  );
+  if (!tail.includes("%%EOF")) {
+    reject(422, "This PDF is incomplete or corrupted", {
+      code: "corrupt_pdf",
+      reason: "missing %%EOF trailer",
+    });
+  }
+
+  let pageCount;
+  try {
+    pageCount = await countPdfPages(filePath);
+  } catch (error) {
+    if (error.name === "PasswordException") {
+      reject(422, "This PDF is password-protected", {
+        code: "encrypted_pdf",
+        hint: "Remove the password and upload it again",
+      });
+    }
+    reject(422, "This PDF is corrupted and cannot be read", {
+      code: "corrupt_pdf",
+      reason: error.message,
+    });
+  }
+
+  const { maxPages } = config.upload;
+  if (pageCount > maxPages) {
+    reject(413, `This PDF has ${pageCount} pages; the limit is ${maxPages}`, {
+      code: "too_many_pages",
+      pageCount,
+      maxPages,
+    });
+  }
+  return { pageCount };
+}
+
+/**
+ * Check a stored upload (multer's `req.file`) of the detected `type`.
+ * Resolves with `{ pageCount }` for PDFs and `{}` otherwise; throws an
+ * HttpError for files that must not be queued.
+ */
+export async function validateUpload({ path: filePath, size }, type, label) {
+  if (size === 0) {
+    reject(400, "The file is empty", { code: "empty_file" });
+  }
+
+  const head = await readBytes(
+    filePath,
+    0,
+    Math.max(TEXT_SAMPLE_BYTES, SIGNATURES.pdf.within + 8)
+  );
+  checkSignature(head, type, label);
+
+  return type === "pdf" ? checkPdf(filePath, size) : {};
+}
@@ -0,0 +1,245 @@
+import { QdrantClient } from "@qdrant/js-client-rest";
+import { QdrantVectorStore } from "@langchain/qdrant";
+import { Document } from "@langchain/core/documents";
+import { config } from "./config.js";
+import { HttpError } from "./errors.js";
+import { getEmbedder, describeEmbedder } from "./embeddings/index.js";
+import { chunkSparseVector, querySparseVector } from "./keywords.js";
+
+// ===================================================
+// Qdrant access shared by the API server and worker
+// ===================================================
+export const qdrant = new QdrantClient({ url: config.qdrant.url });
+
+const label = ({ backend, model, dimension }) =>
+  `${backend}:${model} (${dimension} dims)`;
+
+// Compare the embedder recorded on a collection with the one in use
+function findMismatch(collection, expected) {
+  const recorded = collection.config.metadata?.embedding;
+  const size = collection.config.params.vectors?.size;
+
+  if (recorded) {
+    const same =
+      recorded.backend === expected.backend &&
+      recorded.model === expected.model &&
+      recorded.dimension === expected.dimension;
+    return same ? null : label(recorded);
+  }
+
+  // Collections created before embedding metadata existed only tell us the size
+  return size === expected.dimension
+    ? null
+    : `an unknown embedder (${size} dims)`;
+}
+
+// Chunk payload fields we filter on
+const PAYLOAD_INDEXES = {
+  "metadata.documentId": "keyword",
+  "metadata.ownerId": "keyword",
+};
+
+async function ensurePayloadIndexes(collectionName) {
+  for (const [field_name, field_schema] of Object.entries(PAYLOAD_INDEXES)) {
+    await qdrant.createPayloadIndex(collectionName, {
+      field_name,
+      field_schema,
+      wait: true,
+    });
+  }
+}
+
+/**
+ * Qdrant filter that restricts a search to the chunks of one user and/or
+ * the given documents. Returns undefined (no restriction) when neither is
+ * given.
+ */
+export function documentFilter(documentIds = [], ownerId) {
+  const must = [];
+  if (ownerId !== undefined) {
+    must.push({ key: "metadata.ownerId", match: { value: ownerId } });
+  }
+  if (documentIds.length > 0) {
+    must.push({ key: "metadata.documentId", match: { any: documentIds } });
+  }
+  return must.length > 0 ? { must } : undefined;
+}
+
+/**
+ * Open the configured collection for the configured embedder.
+ *
+ * The embedder's backend, model and dimension are recorded as collection
+ * metadata when the worker creates the collection; searching or writing
+ * with a different embedder is refused with a 409 instead of returning
+ * meaningless neighbours.
+ *
+ * @param {{ create?: boolean }} options create the collection if missing (worker)
+ */
+export async function openVectorStore({ create = false } = {}) {
+  const { collectionName } = config.qdrant;
+  const embedder = getEmbedder();
+  const expected = await describeEmbedder(embedder);
+  const { exists } = await qdrant.collectionExists(collectionName);
+
+  if (!exists) {
+    if (!create) {
+      throw new HttpError(404, "No documents have been indexed yet");
+    }
+    await qdrant.createCollection(collectionName, {
+      vectors: { size: expected.dimension, distance: "Cosine" },
+      metadata: { embedding: expected },
+    });
+    await ensurePayloadIndexes(collectionName);
+    console.log(`🆕 Created Qdrant collection ${collectionName}`);
+  } else {
+    const collection = await qdrant.getCollection(collectionName);
+    const mismatch = findMismatch(collection, expected);
+
+    if (mismatch) {
+      throw new HttpError(
+        409,
+        `Collection "${collectionName}" was indexed with ${mismatch}, but this server embeds with ${label(expected)}`,
+        "Use the original embedder or re-index the documents"
+      );
+    }
+
+    if (create) {
+      // Adopt a pre-metadata collection once we know the sizes agree
+      if (!collection.config.metadata?.embedding) {
+        await qdrant.updateCollection(collectionName, {
+          metadata: { embedding: expected },
+        });
+      }
+      // Indexes added after the collection was created (e.g. ownerId)
+      await ensurePayloadIndexes(collectionName);
+    }
+  }
+
+  return new QdrantVectorStore(embedder.embeddings, {
+    client: qdrant,
+    collectionName,
+  });
+}
+
+// ===================================================
+// Keyword (BM25) index
+// ===================================================
+// A sparse-vector twin of the dense collection. Points share their IDs and
+// payload with the dense chunks so hybrid search can fuse the two rankings.
+// It does not depend on the embedder, so it needs no metadata check.
+const keywordCollectionName = () => `${config.qdrant.collectionName}-keywords`;
+const KEYWORD_VECTOR = "bm25";
+
+async function ensureKeywordCollection() {
+  const collectionName = keywordCollectionName();
+  const { exists } = await qdrant.collectionExists(collectionName);
+  if (exists) return;
+
+  await qdrant.createCollection(collectionName, {
+    sparse_vectors: { [KEYWORD_VECTOR]: { modifier: "idf" } },
+  });
+  await ensurePayloadIndexes(collectionName);
+  console.log(`🆕 Created Qdrant collection ${collectionName}`);
+}
+
+/**
+ * Add chunks to the keyword index. Each chunk needs the `id` it was stored
+ * under in the dense collection.
+ */
+export async function addKeywordChunks(docs) {
+  await ensureKeywordCollection();
+  const points = docs
+    .map((doc) => ({
+      id: doc.id,
+      vector: { [KEYWORD_VECTOR]: chunkSparseVector(doc.pageContent) },
+      payload: { content: doc.pageContent, metadata: doc.metadata },
+    }))
+    // Chunks without a single searchable term cannot match anything
+    .filter((point) => point.vector[KEYWORD_VECTOR].indices.length > 0);
+
+  if (points.length === 0) return;
+  await qdrant.upsert(keywordCollectionName(), { wait: true, points });
+}
+
+/**
+ * BM25 search over the keyword index. Returns `[doc, score]` pairs like
+ * QdrantVectorStore.similaritySearchWithScore, or nothing when no document
+ * has been keyword-indexed yet.
+ */
+export async function keywordSearch(query, k, filter) {
+  const collectionName = keywordCollectionName();
+  const sparse = querySparseVector(query);
+  if (sparse.indices.length === 0) return [];
+
+  const { exists } = await qdrant.collectionExists(collectionName);
+  if (!exists) return [];
+
+  const { points } = await qdrant.query(collectionName, {
+    query: sparse,
+    using: KEYWORD_VECTOR,
+    filter,
+    limit: k,
+    with_payload: true,
+  });
+  return points.map((point) => [
+    new Document({
+      id: point.id,
+      pageContent: point.payload.content,
+      metadata: point.payload.metadata,
+    }),
+    point.score,
+  ]);
+}
+
+// IDs of every stored chunk of a document (dense collection)
+export async function listDocumentChunkIds(documentId) {
+  const { collectionName } = config.qdrant;
+  const ids = [];
+  let offset;
+  do {
+    const page = await qdrant.scroll(collectionName, {
+      filter: documentFilter([documentId]),
+      limit: 256,
+      offset,
+      with_payload: false,
+      with_vector: false,
+    });
+    ids.push(...page.points.map((point) => point.id));
+    offset = page.next_page_offset;
+  } while (offset !== null && offset !== undefined);
+  return ids;
+}
+
+// Remove chunks by ID from the dense and keyword collections
+export async function deleteChunks(ids) {
+  if (ids.length === 0) return;
+  for (const collectionName of [
+    config.qdrant.collectionName,
+    keywordCollectionName(),
+  ]) {
+    const { exists } = await qdrant.collectionExists(collectionName);
+    if (!exists) continue;
+    await qdrant.delete(collectionName, { wait: true, points: ids });
+  }
+}
+
+// Remove every chunk of a document from the dense and keyword collections;
+// returns false if there is no collection yet
+export async function deleteDocumentChunks(documentId) {
+  let deleted = false;
+
+  for (const collectionName of [
+    config.qdrant.collectionName,
+    keywordCollectionName(),
+  ]) {
+    const { exists } = await qdrant.collectionExists(collectionName);
+    if (!exists) continue;
+
+    await qdrant.delete(collectionName, {
+      wait: true,
+      filter: documentFilter([documentId]),
+    });
+    deleted = true;
+  }
+  return deleted;
+}
@@ -1,98 +1,252 @@
-import { Worker } from "bullmq";
-import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
-import { QdrantVectorStore } from "@langchain/qdrant";
-import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
-import { CharacterTextSplitter } from "@langchain/textsplitters";
-import dotenv from "dotenv";
+import { Worker, UnrecoverableError } from "bullmq";
+import { config } from "./config.js";
+import { getEmbedder, listEmbeddingBackends } from "./embeddings/index.js";
+import {
+  openVectorStore,
+  addKeywordChunks,
+  listDocumentChunkIds,
+  deleteChunks,
+} from "./vectorstore.js";
+import { sha256, hashToUuid } from "./hashing.js";
+import { updateDocument } from "./documents.js";
+import { QUEUE_NAME, sendToDeadLetter } from "./queue.js";
+import { invalidateAnswers } from "./answercache.js";
+import { createRateLimiter } from "./ratelimit.js";
+import { resolveChunking, splitDocuments } from "./chunking.js";
+import { getLoader } from "./loaders/index.js";
+import { extractionReport, textLength } from "./ocr.js";
 
-dotenv.config();
+// Embedding requests of every worker draw from one bucket per backend
+const embedLimiter = (embedder) =>
+  createRateLimiter(`embeddings:${embedder.backend}`, {
+    perMinute: config.ingestion.embedRatePerMinute,
+    capacity: config.ingestion.embedBurst,
+  });
+
+// HTTP 429s and quota messages from any embedding backend
+const RATE_LIMIT_PATTERN =
+  /\b429\b|too many requests|rate.?limit|quota|resource.?exhausted/i;
+
+const isRateLimitError = (error) =>
+  error.status === 429 ||
+  error.response?.status === 429 ||
+  RATE_LIMIT_PATTERN.test(error.message ?? "");
+
+// Turn low-level failures into messages worth showing to users
+function describeJobError(error, data) {
+  if (isRateLimitError(error)) {
+    return new Error("Embedding rate limit or quota exceeded");
+  }
+
+  // Embeddings are the only API the worker calls
+  if (error.message?.includes("API key")) {
+    const backend = listEmbeddingBackends().find(
+      (candidate) => candidate.name === config.embeddings.provider
+    );
+    return new Error(
+      `Invalid ${backend?.label ?? config.embeddings.provider} API key for embeddings. Please check your configuration.`
+    );
+  }
+
+  if (error.message?.includes("ENOENT")) {
+    return new Error(`File not found: ${data?.path}`);
+  }
+
+  return new Error(
+    `Failed to process ${data?.filename ?? "file"}: ${error.message}`
+  );
+}
 
 const worker = new Worker(
-  "file-upload-queue",
+  QUEUE_NAME,
   async (job) => {
+    let data;
     try {
       console.log(`🔄 Processing job:`, job.data);
-      const data = JSON.parse(job.data);
+      data = JSON.parse(job.data);
+      await updateDocument(data.documentId, {
+        status: "processing",
+        error: null,
+      });
       /*
     Path: data.path
-    read the pdf from path,
-    chunk the pdf,
+    read the file from path with the loader for its type,
+    chunk it,
     call the openai embedding model for every chunk,
     store the chunk in qdrant db
     */
 
-      // Load the PDF
-      console.log(`📄 Loading PDF from: ${data.path}`);
-      const loader = new PDFLoader(data.path);
-      const docs = await loader.load();
-      console.log(`📚 Loaded ${docs.length} pages from PDF`);
-
-      // Split documents into smaller chunks for better retrieval
-      const textSplitter = new CharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 200,
+      // Load the file; every loader records where its text came from
+      // (page, section or rows) in the metadata
+      await job.updateProgress({ stage: "parsing" });
+      const loader = getLoader(data.type);
+      console.log(`📄 Loading ${loader.label} file from: ${data.path}`);
+      const loaded = await loader.load(data.path, {
+        onProgress: (progress) => job.updateProgress(progress),
       });
-      const splitDocs = await textSplitter.splitDocuments(docs);
-      console.log(`✂️ Split into ${splitDocs.length} chunks`);
+      console.log(`📚 Loaded ${loaded.length} parts from ${loader.label} file`);
 
-      // Initialize Google Gemini embeddings
-      const embeddings = new GoogleGenerativeAIEmbeddings({
-        apiKey: process.env.GOOGLE_API_KEY,
-        model: "text-embedding-004", // Google's embedding model
-      });
-      console.log(`🤖 Initialized Google Gemini embeddings`);
-
-      // Connect to existing Qdrant collection
-      const vectorStore = await QdrantVectorStore.fromExistingCollection(
-        embeddings,
-        {
-          url: "http://localhost:6333",
-          collectionName: "langchainjs-testing",
-        }
+      // How well each PDF page was read (text layer, OCR or nothing). Parts
+      // without any text are dropped rather than stored as empty chunks.
+      const pages = extractionReport(loaded);
+      const docs = loaded.filter((doc) => textLength(doc.pageContent) > 0);
+      if (docs.length === 0) {
+        throw new Error(
+          config.ocr.enabled
+            ? "No text could be extracted from the file, even with OCR"
+            : "No text could be extracted from the file (OCR is disabled)"
+        );
+      }
+      const ocrPages = pages.filter((page) => page.method === "ocr").length;
+      if (ocrPages > 0) console.log(`🔎 ${ocrPages} page(s) read with OCR`);
+
+      // Split documents into smaller chunks for better retrieval. Documents
+      // uploaded before chunking was recorded get the configured default.
+      await job.updateProgress({ stage: "chunking", pages: loaded.length });
+      const chunking = resolveChunking(data.chunking);
+      const splitDocs = await splitDocuments(docs, chunking);
+      console.log(
+        `✂️ Split into ${splitDocs.length} chunks (${chunking.strategy}, ${chunking.chunkSize}/${chunking.chunkOverlap} ${chunking.unit})`
       );
+
+      // Tag every chunk so retrieval can be scoped to its owner and to this
+      // document. The ID is shared by the dense and keyword indexes for
+      // hybrid search, and is derived from the chunk's content and location:
+      // a chunk that is the same in a new version of the file keeps its ID
+      // and its vectors.
+      const occurrences = new Map();
+      for (const doc of splitDocs) {
+        doc.metadata.documentId = data.documentId;
+        doc.metadata.ownerId = data.ownerId;
+        doc.metadata.filename = data.filename;
+        doc.metadata.fileType = loader.type;
+        doc.metadata.contentHash = sha256(
+          JSON.stringify([
+            doc.pageContent,
+            doc.metadata.loc ?? null,
+            doc.metadata.section ?? null,
+            data.filename,
+          ])
+        );
+
+        // Identical chunks (repeated boilerplate) still need distinct IDs
+        const seen = occurrences.get(doc.metadata.contentHash) ?? 0;
+        occurrences.set(doc.metadata.contentHash, seen + 1);
+        doc.id = hashToUuid(
+          sha256(`${data.documentId}:${doc.metadata.contentHash}:${seen}`)
+        );
+      }
+
+      // Connect to the Qdrant collection, creating it for this embedder if needed
+      const vectorStore = await openVectorStore({ create: true });
+      const embedder = getEmbedder();
       console.log(`🔗 Connected to Qdrant vector store`);
 
-      // Store the vector data in qdrant db
-      await vectorStore.addDocuments(splitDocs);
+      // Compare with what an earlier version (or run) of this document stored
+      const storedIds = new Set(await listDocumentChunkIds(data.documentId));
+      const currentIds = new Set(splitDocs.map((doc) => doc.id));
+      const changed = splitDocs.filter((doc) => !storedIds.has(doc.id));
+      const stale = [...storedIds].filter((id) => !currentIds.has(id));
+      const reused = splitDocs.length - changed.length;
+      if (storedIds.size > 0) {
+        console.log(
+          `🔁 ${reused} chunks unchanged, ${changed.length} to embed, ${stale.length} stale`
+        );
+      }
+
+      // Store the vector data in qdrant db, batch by batch so progress is
+      // visible, along with the BM25 keyword vectors of the same chunks.
+      // Chunks stored by an earlier attempt are not embedded again, and
+      // chunks whose text was embedded before come from the cache.
+      const total = changed.length;
+      const batchSize = config.ingestion.embedBatchSize;
+      const limiter = embedLimiter(embedder);
+      await job.updateProgress({ stage: "embedding", embedded: 0, total });
+      for (let start = 0; start < total; start += batchSize) {
+        const batch = changed.slice(start, start + batchSize);
+        // Cached vectors cost no quota, so only misses take from the bucket
+        const misses =
+          (await embedder.embeddings.countMisses?.(
+            batch.map((doc) => doc.pageContent)
+          )) ?? batch.length;
+        await limiter.acquire(misses, {
+          onWait: (ms) =>
+            job.updateProgress({
+              stage: "embedding",
+              embedded: start,
+              total,
+              throttledMs: ms,
+            }),
+        });
+        await vectorStore.addDocuments(batch);
+        await addKeywordChunks(batch);
+        const embedded = Math.min(start + batchSize, total);
+        await job.updateProgress({ stage: "embedding", embedded, total });
+      }
+
+      // Only now drop chunks of the previous version, so the document stays
+      // searchable while the new chunks are embedded
+      await deleteChunks(stale);
       console.log(
-        `✅ Successfully added ${splitDocs.length} document chunks to vector store`
+        `✅ Successfully added ${changed.length} document chunks to vector store`
       );
 
       // Add metadata about the processed file
+      await updateDocument(data.documentId, {
+        status: "ready",
+        // Only PDFs have pages; other loaders return sections or row groups
+        pageCount: loader.type === "pdf" ? loaded.length : null,
+        ocrPages,
+        chunkCount: splitDocs.length,
+        chunking,
+        embedding: `${embedder.backend}:${embedder.model}`,
+        ingestedAt: new Date().toISOString(),
+      });
+      // Answers cached before this version may quote what it changed
+      await invalidateAnswers(data).catch((error) => {
+        console.error("🚨 Could not invalidate cached answers:", error.message);
+      });
+      await job.updateProgress({ stage: "stored", chunks: splitDocs.length });
       console.log(`📋 File processed: ${data.filename}`);
       return {
         success: true,
+        documentId: data.documentId,
         filename: data.filename,
         chunks: splitDocs.length,
-        message: "PDF successfully processed and stored in vector database",
+        // Incremental re-upload: chunks embedded now, kept as-is, removed
+        embedded: changed.length,
+        reused,
+        removed: stale.length,
+        chunking,
+        // Per-page extraction quality (PDFs only)
+        pages,
+        embedding: `${embedder.backend}:${embedder.model}`,
+        message: "File successfully processed and stored in vector database",
       };
     } catch (error) {
       console.error(`❌ Error processing job:`, error);
 
-      // Handle specific Google API errors
-      if (error.message?.includes("quota")) {
-        throw new Error("Google API quota exceeded. Please try again later.");
-      }
-
-      if (error.message?.includes("API key")) {
-        throw new Error(
-          "Invalid Google API key. Please check your configuration."
-        );
-      }
+      // Only rate limits go away by waiting; BullMQ retries those with
+      // exponential backoff and gives up on everything else right away
+      const failure = describeJobError(error, data);
+      const attempts = job.opts.attempts ?? 1;
+      const attempt = job.attemptsMade + 1;
+      const retrying = isRateLimitError(error) && attempt < attempts;
 
-      if (error.message?.includes("ENOENT")) {
-        throw new Error(`PDF file not found: ${data?.path}`);
+      if (data?.documentId) {
+        await updateDocument(data.documentId, {
+          status: retrying ? "queued" : "failed",
+          error: retrying
+            ? `${failure.message}, retrying (attempt ${attempt} of ${attempts})`
+            : failure.message,
+        }).catch(() => {});
       }
-
-      throw new Error(`Failed to process PDF: ${error.message}`);
+      throw retrying ? failure : new UnrecoverableError(failure.message);
     }
   },
   {
-    concurrency: 5, // Reduced concurrency to avoid API rate limits
-    connection: {
-      host: "localhost",
-      port: "6379",
-    },
+    concurrency: config.ingestion.concurrency,
+    connection: config.redis,
   }
 );
 
@@ -101,14 +255,29 @@ worker.on("completed", (job) => {
   console.log(`🎉 Job ${job.id} completed successfully!`);
 });
 
-worker.on("failed", (job, err) => {
+worker.on("failed", async (job, err) => {
+  if (!job) return;
+  // finishedOn is only set once BullMQ will not retry the job any more
+  if (!job.finishedOn) {
+    console.warn(`⏳ Job ${job.id} will be retried:`, err.message);
+    return;
+  }
   console.error(`💥 Job ${job.id} failed:`, err.message);
+  try {
+    await sendToDeadLetter(job, err);
+    console.log(`🪦 Job ${job.id} moved to the dead-letter queue`);
+  } catch (error) {
+    console.error(`🚨 Could not dead-letter job ${job.id}:`, error);
+  }
 });
 
 worker.on("error", (err) => {
   console.error("🚨 Worker error:", err);
 });
 
-console.log("🚀 PDF processing worker started");
-console.log("🤖 Using Google Gemini embeddings");
+console.log("🚀 Document processing worker started");
+console.log(`🤖 Using ${config.embeddings.provider} embeddings`);
+console.log(
+  `🚦 Embedding limit: ${config.ingestion.embedRatePerMinute || "no"} chunks/min, up to ${config.ingestion.attempts} attempts per job`
+);
 console.log("📊 Waiting for jobs...");